@@ -1,6 +1,49 @@
 import fs from "fs/promises";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
 import { parse } from "csv-parse/sync";
-import { stringify } from "csv-stringify/sync";
+import { CSV_OPTIONS, streamCsvRecords } from "./csvStream.js";
+import {
+  parseQuery,
+  compileCriteria,
+  isCriteriaNode,
+  fromLegacyCriteria,
+} from "./query.js";
+import {
+  VALUES,
+  computeGroupStatistics,
+  computePivot,
+  flattenGroups,
+  flattenPivot,
+} from "./statistics.js";
+import {
+  createHostAccumulator,
+  accumulateHosts,
+  rankHostTotals,
+  rankHostListings,
+} from "./hostRanking.js";
+import { inferFormat, selectColumns, renderExport } from "./exporters.js";
+import { createListingValidator, validateListings } from "./validation.js";
+import { diffSnapshots } from "./diff.js";
+import { scoreOutliers, estimateFairPrices } from "./pricing.js";
+import { convertListing, assertSingleCurrency } from "./currency.js";
+import {
+  listingPoint,
+  assertPoint,
+  createPolygonTest,
+  polygonBounds,
+  isComparable,
+  createSpatialIndex,
+  aggregateGrid,
+  flattenGrid,
+  geometriesOf,
+} from "./geo.js";
+import {
+  EMPTY_REVIEW_SUMMARY,
+  EMPTY_CALENDAR_SUMMARY,
+  joinListing,
+  joinSummary,
+} from "./joins.js";
 /**
  * @module AirBnBDataHandler
  */
@@ -11,7 +54,8 @@ import { stringify } from "csv-stringify/sync";
  * @property {number} price - The listing price.
  * @property {number} accommodates - Number of guests accommodated.
  * @property {number} review_scores_rating - Review score rating.
- * @property {string|null} host_id - The ID of the host (null if not valid).
+ * @property {string} host_id - The ID of the host (rows without a numeric host ID are dropped).
+ * @property {string|null} currency - ISO 4217 code of the price, detected while loading.
  */
 
 /**
@@ -21,180 +65,891 @@ import { stringify } from "csv-stringify/sync";
  * @property {number} count - Number of valid listings (price > 0).
  * @property {number} avgPricePerRoom - Average price per room.
  * @property {number} avgPriceValidListings - Average price of all valid listings.
+ * @property {string|null} currency - Currency of the averages, or null if unknown.
  */
 
 /**
- * Represents a host's ranking based on the number of listings.
- * @typedef {Object} HostRanking
- * @property {string} host_id - The ID of the host.
- * @property {number} count - Number of listings owned by the host.
+ * Loads, parses, and validates an Airbnb listings CSV file.
+ * @async
+ * @param {string} filePath - Path to the CSV file.
+ * @param {ValidationOptions} [options] - Schema, sample size, and strict mode.
+ * @returns {Promise<{listings: Array<Listing>, report: ValidationReport}>} Resolves with the
+ *   valid listings and a report of the rows that were dropped or changed.
+ * @throws {Error} In strict mode, if the problems exceed the threshold; the error has a `report`.
  */
+async function loadListingsWithReport(filePath, options) {
+  let records;
+  try {
+    const data = await fs.readFile(filePath, "utf8");
+    records = parse(data, CSV_OPTIONS);
+  } catch (error) {
+    console.error("Error reading file:", error);
+    throw error;
+  }
+  return validateListings(records, options);
+}
 
 /**
  * Loads and parses an Airbnb listings CSV file.
  * @async
  * @param {string} filePath - Path to the CSV file.
+ * @param {ValidationOptions} [options] - Schema, sample size, and strict mode.
  * @returns {Promise<Array<Listing>>} Resolves with an array of listing objects.
  */
-async function loadListings(filePath) {
-  try {
-    const data = await fs.readFile(filePath, "utf8");
-    const records = parse(data, {
-      columns: true,
-      skip_empty_lines: true,
-      trim: true,
-    });
+async function loadListings(filePath, options) {
+  const { listings } = await loadListingsWithReport(filePath, options);
+  return listings;
+}
 
-    return records
-      .map((listing) => ({
-        ...listing,
-        price: listing.price
-          ? parseFloat(listing.price.replace(/[^0-9.]/g, "")) || 0
-          : 0,
-        accommodates: parseInt(listing.accommodates) || 1,
-        review_scores_rating: listing.review_scores_rating
-          ? parseFloat(listing.review_scores_rating) || 0
-          : 0,
-        host_id:
-          listing.host_id && /^[0-9]+$/.test(listing.host_id)
-            ? listing.host_id.trim()
-            : null,
-      }))
-      .filter((listing) => listing.host_id);
-  } catch (error) {
-    console.error("Error reading file:", error);
-    throw error;
+/**
+ * Streams an Airbnb listings CSV file, yielding normalized listings one at a time
+ * so that files larger than memory can be processed.
+ * @async
+ * @generator
+ * @param {string} filePath - Path to the CSV file.
+ * @param {Object} [options] - Streaming and validation options (see {@link ValidationOptions}).
+ * @param {function(LoadProgress): void} [options.onProgress] - Called periodically while the file loads.
+ * @param {number} [options.progressInterval=1000] - Number of rows between progress reports.
+ * @param {function(ValidationReport): void} [options.onReport] - Called with the validation
+ *   report once the whole file has been read.
+ * @yields {Listing} The next normalized listing.
+ * @throws {Error} In strict mode, after the last row, if the problems exceed the threshold.
+ */
+async function* streamListings(
+  filePath,
+  { onProgress, progressInterval, onReport, ...validationOptions } = {},
+) {
+  const validator = createListingValidator(validationOptions);
+  const records = streamCsvRecords(filePath, { onProgress, progressInterval });
+
+  for await (const record of records) {
+    const listing = validator.validate(record);
+    if (listing) {
+      yield listing;
+    }
+  }
+  if (onReport) {
+    onReport(validator.getReport());
   }
+  validator.assertValid();
 }
 
 /**
- * Represents the Airbnb Data Handler object with chainable methods.
+ * One recorded step of a handler pipeline.
+ * @typedef {Object} HistoryEntry
+ * @property {string} operation - Name of the handler method, e.g. "filter".
+ * @property {Array<*>} args - Arguments the method was called with, as a private, deeply
+ *   frozen copy: changing the caller's objects afterwards does not change the step.
+ */
+
+/**
+ * Options for `handler.exportData`.
+ * @typedef {Object} ExportOptions
+ * @property {string} [data="records"] - Dataset to export: "records", "stats", "topHosts", "groups",
+ *   "pivot", or "grid".
+ * @property {string} [format] - "csv", "json", "ndjson", "markdown", "html", or "geojson"; inferred from the
+ *   file extension by default, falling back to "csv".
+ * @property {Array<string>} [columns] - Columns to keep, in order; all columns if omitted.
+ * @property {Object<string, string>} [rename] - New column names keyed by original name.
+ * @property {string} [title] - Title of the HTML report.
+ */
+
+/**
+ * Immutable state of one handler snapshot.
+ * @typedef {Object} HandlerState
+ * @property {ReadonlyArray<Listing>} filteredRecords - Listings left after filtering.
+ * @property {Statistics|Object} stats - Statistics, or {} if not computed.
+ * @property {ReadonlyArray<HostRanking>} topHosts - Host rankings, or [] if not computed.
+ * @property {ReadonlyArray<GroupStatistics>} groups - Group statistics, or [] if not computed.
+ * @property {Pivot|null} pivot - Pivot table, or null if not computed.
+ * @property {ReadonlyArray<GridCell>} grid - Grid aggregation, or [] if not computed.
+ * @property {OutlierSummary|null} outliers - Last outlier detection, or null if not run.
+ * @property {ReadonlyArray<HistoryEntry>} history - Operations that produced this snapshot.
+ * @property {AirBnBDataHandlerObject|null} parent - Snapshot this one was derived from.
+ */
+
+/**
+ * Methods of {@link AirBnBDataHandler} that can be recorded and replayed.
+ * @type {Array<string>}
+ */
+const REPLAYABLE_OPERATIONS = [
+  "filter",
+  "joinReviews",
+  "joinCalendar",
+  "computeStats",
+  "rankHosts",
+  "groupBy",
+  "pivot",
+  "withinRadius",
+  "withinBounds",
+  "withinPolygon",
+  "nearest",
+  "aggregateGrid",
+  "detectOutliers",
+  "estimateFairPrices",
+  "convertCurrency",
+];
+
+/**
+ * Represents the Airbnb Data Handler object with chainable methods. Every
+ * chained call returns a new snapshot and leaves the original untouched, so one
+ * handler can be branched into several pipelines.
  * @typedef {Object} AirBnBDataHandlerObject
  * @property {Function} filter - Filters listings based on criteria.
+ * @property {Function} joinReviews - Adds review activity from reviews.csv to the listings.
+ * @property {Function} joinCalendar - Adds occupancy and nightly prices from calendar.csv to the listings.
  * @property {Function} computeStats - Computes statistics for the filtered listings.
- * @property {Function} rankHosts - Ranks hosts based on the number of listings.
- * @property {Function} exportData - Exports the filtered records to a CSV file asynchronously.
- * @property {Function} getData - Retrieves the current state of records, statistics, and top hosts.
+ * @property {Function} rankHosts - Ranks hosts by a configurable metric.
+ * @property {Function} groupBy - Computes per-group statistics for the filtered listings.
+ * @property {Function} pivot - Computes a two-dimensional table of one statistic.
+ * @property {Function} withinRadius - Keeps listings within a distance of a point.
+ * @property {Function} withinBounds - Keeps listings inside a bounding box.
+ * @property {Function} withinPolygon - Keeps listings inside a GeoJSON polygon.
+ * @property {Function} nearest - Keeps the listings nearest to a point or listing.
+ * @property {Function} aggregateGrid - Summarizes prices on a square or hexagonal grid.
+ * @property {Function} detectOutliers - Flags or excludes price outliers.
+ * @property {Function} estimateFairPrices - Labels listings as under- or overpriced against comparables.
+ * @property {Function} convertCurrency - Converts prices to one currency with a rates table.
+ * @property {Function} exportData - Exports records, statistics, top hosts, groups, or pivot to a file asynchronously.
+ * @property {Function} undo - Returns the snapshot before the last operation.
+ * @property {Function} getHistory - Retrieves the operations that produced the snapshot.
+ * @property {Function} replay - Re-runs the recorded operations on other listings.
+ * @property {Function} compareWith - Compares the snapshot with the same pipeline run on other listings.
+ * @property {Function} getData - Retrieves the current state of records, statistics, top hosts, groups, pivot,
+ *   grid, and outlier summary.
  */
 
+/**
+ * Copies an argument for the history and freezes the copy deeply, leaving the
+ * caller's object untouched.
+ * @param {*} arg - Argument of a handler call.
+ * @returns {*} The frozen copy, or the argument itself if it is not an object.
+ */
+function recordArgument(arg) {
+  const freeze = (value) => {
+    if (typeof value === "object" && value !== null) {
+      Object.values(value).forEach(freeze);
+      Object.freeze(value);
+    }
+    return value;
+  };
+  return freeze(structuredClone(arg));
+}
+
 /**
  * Creates a handler for filtering, computing statistics, and exporting data.
  * @param {Array<Listing>} listings - List of Airbnb listings.
  * @returns {AirBnBDataHandlerObject} Handler with chainable methods.
  */
 function AirBnBDataHandler(listings) {
-  let filteredRecords = [...listings];
-  let stats = {};
-  let topHosts = [];
+  return createHandler({
+    filteredRecords: Object.freeze([...listings]),
+    stats: {},
+    topHosts: [],
+    groups: [],
+    pivot: null,
+    grid: [],
+    outliers: null,
+    history: [],
+    parent: null,
+  });
+}
 
-  const handler = {
+/**
+ * Creates a handler snapshot over the given state.
+ * @param {HandlerState} state - State of the snapshot.
+ * @returns {AirBnBDataHandlerObject} Handler with chainable methods.
+ */
+function createHandler(state) {
+  const {
+    filteredRecords,
+    stats,
+    topHosts,
+    groups,
+    pivot,
+    grid,
+    outliers,
+    history,
+  } = state;
+  // Built on first use; snapshots never change, so it stays valid.
+  let index = null;
+  const spatialIndex = () => (index ??= createSpatialIndex(filteredRecords));
+
+  /**
+   * Keeps the listings found by the spatial index, in their current order.
+   * @param {Array<Object>} matches - Listings found by the spatial index.
+   * @returns {Array<Listing>} The matching listings.
+   */
+  const keepMatches = (matches) => {
+    const kept = new Set(matches);
+    return filteredRecords.filter((listing) => kept.has(listing));
+  };
+
+  /**
+   * Derives a new snapshot that records the operation in its history.
+   * @param {string} operation - Name of the handler method.
+   * @param {Array<*>} args - Arguments of the call.
+   * @param {Partial<HandlerState>} changes - State computed by the operation.
+   * @returns {AirBnBDataHandlerObject} The new snapshot.
+   */
+  const next = (operation, args, changes) =>
+    createHandler({
+      ...state,
+      ...Object.fromEntries(
+        Object.entries(changes).map(([key, value]) => [
+          key,
+          Object.freeze(value),
+        ]),
+      ),
+      history: Object.freeze([
+        ...history,
+        Object.freeze({
+          operation,
+          args: Object.freeze(args.map(recordArgument)),
+        }),
+      ]),
+      parent: handler,
+    });
+
+  const handler = Object.freeze({
     /**
      * Filters listings based on criteria.
-     * @param {Object} criteria - Filtering options.
-     * @returns {AirBnBDataHandlerObject} The handler for chaining.
+     * @param {string|Object} criteria - Query string or criteria object.
+     * @returns {AirBnBDataHandlerObject} A new snapshot with the filtered listings.
      */
     filter(criteria) {
-      filteredRecords = filteredRecords.filter(createFilterFunction(criteria));
-      return handler;
+      return next("filter", [criteria], {
+        filteredRecords: filteredRecords.filter(createFilterFunction(criteria)),
+      });
+    },
+
+    /**
+     * Adds review_count, first_review_date, and last_review_date to every
+     * listing, so that they can be filtered, grouped, and ranked on.
+     * @param {Object<string, ReviewSummary>} summary - Review summaries keyed by listing ID,
+     *   from `summarizeReviews`.
+     * @returns {AirBnBDataHandlerObject} A new snapshot with the joined listings.
+     */
+    joinReviews(summary) {
+      return next("joinReviews", [summary], {
+        filteredRecords: joinSummary(
+          filteredRecords,
+          summary,
+          EMPTY_REVIEW_SUMMARY,
+        ),
+      });
+    },
+
+    /**
+     * Adds calendar_nights, calendar_booked_nights, occupancy_rate, and
+     * calendar_avg_price to every listing.
+     * @param {Object<string, CalendarSummary>} summary - Calendar summaries keyed by listing ID,
+     *   from `summarizeCalendar`.
+     * @returns {AirBnBDataHandlerObject} A new snapshot with the joined listings.
+     */
+    joinCalendar(summary) {
+      return next("joinCalendar", [summary], {
+        filteredRecords: joinSummary(
+          filteredRecords,
+          summary,
+          EMPTY_CALENDAR_SUMMARY,
+        ),
+      });
     },
 
     /**
      * Computes statistics for the filtered listings.
-     * @returns {AirBnBDataHandlerObject} The handler for chaining.
+     * @returns {AirBnBDataHandlerObject} A new snapshot with the statistics.
      */
     computeStats() {
-      stats = computeStatistics(filteredRecords);
-      return handler;
+      return next("computeStats", [], {
+        stats: computeStatistics(filteredRecords),
+      });
     },
 
     /**
-     * Ranks hosts by the number of listings they own.
-     * @returns {AirBnBDataHandlerObject} The handler for chaining.
+     * Ranks hosts, by default by the number of listings they own.
+     * @param {HostRankingOptions} [options] - Metric, limit, and minimum listings.
+     * @returns {AirBnBDataHandlerObject} A new snapshot with the host rankings.
      */
-    rankHosts() {
-      const hostCount = filteredRecords.reduce((acc, { host_id }) => {
-        acc[host_id] = (acc[host_id] || 0) + 1;
-        return acc;
-      }, {});
+    rankHosts(options) {
+      return next("rankHosts", options ? [options] : [], {
+        topHosts: rankHostListings(filteredRecords, options),
+      });
+    },
 
-      topHosts = Object.entries(hostCount)
-        .sort((a, b) => b[1] - a[1])
-        .map(([host_id, count]) => ({ host_id, count }))
-        .slice(0, 15);
+    /**
+     * Computes statistics per group of listings sharing the same field values.
+     * @param {...string} fields - Fields to group by, e.g. "neighbourhood_cleansed", "room_type".
+     * @returns {AirBnBDataHandlerObject} A new snapshot with the group statistics.
+     */
+    groupBy(...fields) {
+      return next("groupBy", fields, {
+        groups: computeGroupStatistics(filteredRecords, fields),
+      });
+    },
 
-      return handler;
+    /**
+     * Computes a two-dimensional table of one statistic, e.g. median price by
+     * neighbourhood × room type.
+     * @param {string} rowField - Field whose values label the rows.
+     * @param {string} columnField - Field whose values label the columns.
+     * @param {Object} [options] - Value ("price" or "pricePerAccommodate") and statistic ("median", "mean", ...).
+     * @returns {AirBnBDataHandlerObject} A new snapshot with the pivot table.
+     */
+    pivot(rowField, columnField, options) {
+      const args = options
+        ? [rowField, columnField, options]
+        : [rowField, columnField];
+      return next("pivot", args, {
+        pivot: computePivot(filteredRecords, rowField, columnField, options),
+      });
     },
 
     /**
-     * Exports filtered listings to a CSV file.
+     * Keeps the listings within a distance of a point and adds their
+     * distance_km; the listings are sorted nearest first.
+     * @param {GeoPoint} center - Center of the circle.
+     * @param {number} radiusKm - Radius in kilometres.
+     * @returns {AirBnBDataHandlerObject} A new snapshot with the listings in the circle.
+     * @throws {TypeError} If the center or radius is invalid.
+     */
+    withinRadius(center, radiusKm) {
+      if (!(radiusKm >= 0)) {
+        throw new TypeError("The radius must be a non-negative number");
+      }
+      return next("withinRadius", [center, radiusKm], {
+        filteredRecords: spatialIndex().withinRadius(center, radiusKm),
+      });
+    },
+
+    /**
+     * Keeps the listings inside a bounding box.
+     * @param {BoundingBox} bounds - [minLng, minLat, maxLng, maxLat].
+     * @returns {AirBnBDataHandlerObject} A new snapshot with the listings in the box.
+     * @throws {TypeError} If the bounding box is invalid.
+     */
+    withinBounds(bounds) {
+      return next("withinBounds", [bounds], {
+        filteredRecords: keepMatches(spatialIndex().withinBounds(bounds)),
+      });
+    },
+
+    /**
+     * Keeps the listings inside a GeoJSON polygon; holes are excluded.
+     * @param {Object} geojson - Polygon, MultiPolygon, Feature, or FeatureCollection.
+     * @returns {AirBnBDataHandlerObject} A new snapshot with the listings in the polygon.
+     * @throws {TypeError} If the GeoJSON contains no valid polygon.
+     */
+    withinPolygon(geojson) {
+      const inPolygon = createPolygonTest(geojson);
+      const candidates = spatialIndex().withinBounds(polygonBounds(geojson));
+      return next("withinPolygon", [geojson], {
+        filteredRecords: keepMatches(
+          candidates.filter((listing) => inPolygon(listingPoint(listing))),
+        ),
+      });
+    },
+
+    /**
+     * Keeps the listings nearest to a point, or to a listing given by ID (which
+     * is itself left out), and adds their distance_km; nearest first.
+     * @param {GeoPoint|string} target - Point, or ID of a listing with coordinates.
+     * @param {number} [count=10] - Number of listings to keep.
+     * @param {Object} [options] - Search options.
+     * @param {boolean} [options.comparable=false] - Only keep listings comparable to the
+     *   target listing: same room type and at most one guest more or fewer.
+     * @param {number} [options.maxDistanceKm] - Leave out listings farther away.
+     * @returns {AirBnBDataHandlerObject} A new snapshot with the nearest listings.
+     * @throws {TypeError} If the target is not a point or a listing with coordinates.
+     */
+    nearest(target, count = 10, options = {}) {
+      const { comparable = false, maxDistanceKm } = options;
+      let center = target;
+      let filter = () => true;
+      if (typeof target === "string") {
+        const listing = filteredRecords.find(({ id }) => id === target);
+        center = listing && listingPoint(listing);
+        if (!center) {
+          throw new TypeError(`No listing "${target}" with coordinates`);
+        }
+        filter = comparable
+          ? (candidate) => isComparable(listing, candidate)
+          : (candidate) => candidate.id !== target;
+      } else if (comparable) {
+        throw new TypeError("Comparable listings need a target listing ID");
+      }
+      assertPoint(center);
+      return next("nearest", [target, count, options], {
+        filteredRecords: spatialIndex().nearest(center, count, {
+          filter,
+          maxDistanceKm,
+        }),
+      });
+    },
+
+    /**
+     * Aggregates the filtered listings into square or hexagonal cells with
+     * price statistics per cell.
+     * @param {GridOptions} [options] - Cell size in kilometres and shape.
+     * @returns {AirBnBDataHandlerObject} A new snapshot with the grid.
+     * @throws {TypeError} If the shape or cell size is invalid.
+     */
+    aggregateGrid(options) {
+      return next("aggregateGrid", options ? [options] : [], {
+        grid: aggregateGrid(filteredRecords, options),
+      });
+    },
+
+    /**
+     * Detects price outliers with the IQR, z-score, or MAD method. Flagging
+     * adds price_outlier and price_outlier_score to every listing; excluding
+     * removes the outliers, e.g. before computing statistics.
+     * @param {OutlierOptions} [options] - Method, threshold, value, and action.
+     * @returns {AirBnBDataHandlerObject} A new snapshot with the flagged or remaining listings.
+     * @throws {TypeError} If an option is invalid.
+     */
+    detectOutliers(options = {}) {
+      const { action = "flag", ...scoring } = options;
+      if (!["flag", "exclude"].includes(action)) {
+        throw new TypeError(`Unknown outlier action "${action}"`);
+      }
+      const { summary, scores } = scoreOutliers(filteredRecords, scoring);
+      const isOutlier = (i) =>
+        scores[i] !== null && scores[i] > summary.threshold;
+      const flag = (listing, i) => ({
+        ...listing,
+        price_outlier: isOutlier(i),
+        price_outlier_score: scores[i],
+      });
+      return next("detectOutliers", [options], {
+        filteredRecords:
+          action === "flag"
+            ? filteredRecords.map(flag)
+            : filteredRecords.filter((_, i) => !isOutlier(i)),
+        outliers: summary,
+      });
+    },
+
+    /**
+     * Estimates a fair price for every listing from the median price of its
+     * comparables among the current listings (same room type and
+     * neighbourhood, similar number of guests) and labels it as underpriced,
+     * fair, or overpriced. Listings flagged by {@link detectOutliers} are not
+     * used as comparables.
+     * @param {FairPriceOptions} [options] - Comparable and labelling options.
+     * @returns {AirBnBDataHandlerObject} A new snapshot with fair_price, fair_price_comparables,
+     *   price_vs_fair, and price_label on every listing.
+     * @throws {TypeError} If an option is invalid.
+     */
+    estimateFairPrices(options) {
+      return next("estimateFairPrices", options ? [options] : [], {
+        filteredRecords: estimateFairPrices(filteredRecords, options),
+      });
+    },
+
+    /**
+     * Converts the prices of all listings to one currency, so that listings
+     * from datasets in different currencies can be compared and averaged.
+     * @param {RatesTable} rates - Exchange rates, e.g. from `loadRates`.
+     * @param {string} currency - ISO 4217 code to convert to.
+     * @returns {AirBnBDataHandlerObject} A new snapshot with converted prices, and
+     *   original_price and original_currency on every listing.
+     * @throws {Error} If the table has no rate for a currency, or a price has no currency.
+     */
+    convertCurrency(rates, currency) {
+      return next("convertCurrency", [rates, currency], {
+        filteredRecords: filteredRecords.map((listing) =>
+          convertListing(listing, rates, currency),
+        ),
+      });
+    },
+
+    /**
+     * Exports filtered listings, statistics, top hosts, group statistics, the
+     * pivot table, or the grid to a file or a writable stream, such as an HTTP response.
      * @async
-     * @param {string} filePath - Output file path.
+     * @param {string|NodeJS.WritableStream} destination - Output file path, or a
+     *   stream that is ended once the export is written.
+     * @param {ExportOptions} [options] - Dataset, format, and column options; the
+     *   format defaults to "csv" for streams.
      * @returns {Promise<AirBnBDataHandlerObject>} The handler for chaining.
+     * @throws {Error} Rejects if the dataset is empty (the error's `code` is then
+     *   "EMPTY_EXPORT") or unknown, the format is unknown, or the destination
+     *   cannot be written.
      */
-    async exportData(filePath) {
-      try {
-        if (filteredRecords.length === 0) {
-          console.log("No data to export.");
-          return handler;
-        }
+    async exportData(destination, options = {}) {
+      const {
+        data = "records",
+        format = typeof destination === "string"
+          ? inferFormat(destination)
+          : "csv",
+        columns,
+        rename,
+        title,
+      } = options;
+      const datasets = {
+        records: () => filteredRecords,
+        stats: () => (Object.keys(stats).length ? [stats] : []),
+        topHosts: () => topHosts,
+        groups: () => flattenGroups(groups),
+        pivot: () => (pivot ? flattenPivot(pivot) : []),
+        grid: () => flattenGrid(grid),
+      };
+      const located = { records: filteredRecords, grid };
+      if (!(data in datasets)) {
+        throw new TypeError(`Unknown export dataset "${data}"`);
+      }
 
-        const csvString = stringify(filteredRecords, { header: true });
-        await fs.writeFile(filePath, csvString, "utf8");
-        console.log(`Results exported to ${filePath}`);
-      } catch (error) {
-        console.error("Error writing to file:", error);
+      const rows = selectColumns(datasets[data](), { columns, rename });
+      if (rows.length === 0) {
+        const error = new Error(`No ${data} to export.`);
+        error.code = "EMPTY_EXPORT";
+        throw error;
+      }
+      const contents = renderExport(format, {
+        rows,
+        value: data === "stats" ? rows[0] : rows,
+        stats,
+        topHosts,
+        title,
+        geometries: located[data] && geometriesOf(located[data]),
+      });
+      if (typeof destination === "string") {
+        await fs.writeFile(destination, contents, "utf8");
+      } else {
+        await pipeline(Readable.from([contents]), destination);
       }
       return handler;
     },
 
     /**
-     * Retrieves the current state of records, statistics, and top hosts.
-     * @returns {Function} {filteredRecords: Array<Listing>, stats: Statistics, topHosts: Array<HostRanking>}
+     * Returns the snapshot this one was derived from.
+     * @returns {AirBnBDataHandlerObject} The previous snapshot, or this one if it is the first.
+     */
+    undo() {
+      return state.parent ?? handler;
+    },
+
+    /**
+     * Retrieves the operations that produced this snapshot, in order. The
+     * history is plain data and can be saved as JSON.
+     * @returns {ReadonlyArray<HistoryEntry>} The recorded operations.
+     */
+    getHistory() {
+      return history;
+    },
+
+    /**
+     * Re-runs the operations that produced this snapshot on other listings,
+     * e.g. a newer CSV of the same city.
+     * @param {Array<Listing>} listings - Listings to run the pipeline on.
+     * @returns {AirBnBDataHandlerObject} The resulting snapshot.
+     */
+    replay(listings) {
+      return replayHistory(history, listings);
+    },
+
+    /**
+     * Runs this snapshot's pipeline on a newer set of listings and compares the
+     * two: added, removed, and changed listings, statistic changes, and host
+     * ranking movement. Statistics and rankings are only compared if the
+     * pipeline computed them.
+     * @param {Array<Listing>} listings - Listings of the newer snapshot.
+     * @param {Object} [options] - Columns to compare, see `diffListings`.
+     * @returns {SnapshotDiff} The differences, from this snapshot to the newer one.
+     */
+    compareWith(listings, options) {
+      return diffSnapshots(
+        handler.getData(),
+        replayHistory(history, listings).getData(),
+        options,
+      );
+    },
+
+    /**
+     * Retrieves the current state of records, statistics, top hosts, groups, pivot, grid, and outlier summary.
+     * @returns {Function} {filteredRecords: Array<Listing>, stats: Statistics, topHosts: Array<HostRanking>, groups: Array<GroupStatistics>, pivot: Pivot|null, grid: Array<GridCell>, outliers: OutlierSummary|null}
      */
     getData() {
-      return { filteredRecords, stats, topHosts };
+      return {
+        filteredRecords,
+        stats,
+        topHosts,
+        groups,
+        pivot,
+        grid,
+        outliers,
+      };
     },
-  };
+  });
 
   return handler;
 }
 
+/**
+ * Runs a recorded pipeline on a list of listings.
+ * @param {Array<HistoryEntry>} history - Operations to run, e.g. from `handler.getHistory()`.
+ * @param {Array<Listing>} listings - Listings to run the pipeline on.
+ * @returns {AirBnBDataHandlerObject} The resulting snapshot.
+ * @throws {TypeError} If the history contains an operation that cannot be replayed.
+ */
+function replayHistory(history, listings) {
+  return history.reduce((handler, { operation, args = [] }) => {
+    if (!REPLAYABLE_OPERATIONS.includes(operation)) {
+      throw new TypeError(`Cannot replay operation "${operation}"`);
+    }
+    return handler[operation](...args);
+  }, AirBnBDataHandler(listings));
+}
+
 /**
  * Creates a filtering function based on given criteria.
- * @param {Object} criteria - Filtering options.
+ *
+ * Criteria can be a query string (see {@link module:query.parseQuery}), a
+ * criteria tree (see {@link module:query~CriteriaNode}), or the original object
+ * with minPrice, maxPrice, minRooms, maxRooms and minReviewScore.
+ * @param {string|Object} criteria - Filtering options.
  * @returns {Function} Function to filter listings - (listing: Listing) => boolean.
+ * @throws {SyntaxError|TypeError} If the criteria are malformed.
  */
 function createFilterFunction(criteria) {
-  return (listing) =>
-    (criteria.minPrice == null || listing.price >= criteria.minPrice) &&
-    (criteria.maxPrice == null || listing.price <= criteria.maxPrice) &&
-    (criteria.minRooms == null || listing.accommodates >= criteria.minRooms) &&
-    (criteria.maxRooms == null || listing.accommodates <= criteria.maxRooms) &&
-    (criteria.minReviewScore == null ||
-      listing.review_scores_rating >= criteria.minReviewScore);
+  if (typeof criteria === "string") {
+    return compileCriteria(parseQuery(criteria));
+  }
+  return compileCriteria(
+    isCriteriaNode(criteria) ? criteria : fromLegacyCriteria(criteria),
+  );
+}
+
+/**
+ * Running totals used to compute statistics incrementally.
+ * @typedef {Object} StatisticsAccumulator
+ * @property {number} total_count - Number of listings seen.
+ * @property {number} count - Number of valid listings seen (price > 0).
+ * @property {number} totalRoomPrice - Sum of price per room over valid listings.
+ * @property {number} totalPrice - Sum of prices over valid listings.
+ * @property {Array<string|null>} currencies - Distinct currencies of valid listings; null
+ *   stands for prices without a currency.
+ */
+
+/**
+ * Initial value for {@link accumulateStatistics}.
+ * @type {StatisticsAccumulator}
+ */
+const EMPTY_STATISTICS = Object.freeze({
+  total_count: 0,
+  count: 0,
+  totalRoomPrice: 0,
+  totalPrice: 0,
+  currencies: Object.freeze([]),
+});
+
+/**
+ * Adds a listing to the running statistics totals.
+ * @param {StatisticsAccumulator} acc - Totals so far.
+ * @param {Listing} listing - Listing to add.
+ * @returns {StatisticsAccumulator} New totals including the listing.
+ */
+function accumulateStatistics(acc, listing) {
+  const valid = listing.price > 0;
+  return {
+    total_count: acc.total_count + 1,
+    count: acc.count + (valid ? 1 : 0),
+    totalRoomPrice:
+      acc.totalRoomPrice + (valid ? VALUES.pricePerAccommodate(listing) : 0),
+    totalPrice: acc.totalPrice + (valid ? listing.price : 0),
+    currencies:
+      valid && !acc.currencies.includes(listing.currency ?? null)
+        ? [...acc.currencies, listing.currency ?? null]
+        : acc.currencies,
+  };
+}
+
+/**
+ * Turns running statistics totals into the final averages.
+ * @param {StatisticsAccumulator} acc - Accumulated totals.
+ * @returns {Statistics} Computed statistics including total count, valid count, and averages.
+ * @throws {Error} If the valid listings are priced in more than one currency, counting
+ *   prices without a currency as one; the error has code "MIXED_CURRENCIES".
+ */
+function finalizeStatistics({
+  total_count,
+  count,
+  totalRoomPrice,
+  totalPrice,
+  currencies,
+}) {
+  const currency = assertSingleCurrency(currencies);
+  const avgPricePerRoom = count ? totalRoomPrice / count : 0;
+  const avgPriceValidListings = count ? totalPrice / count : 0;
+
+  return {
+    total_count,
+    count,
+    avgPricePerRoom,
+    avgPriceValidListings,
+    currency,
+  };
 }
 
 /**
  * Computes statistics for a list of Airbnb listings.
  * @param {Array<Listing>} listings - List of listings.
  * @returns {Statistics} Computed statistics including total count, valid count, and averages.
+ * @throws {Error} If the valid listings are priced in more than one currency.
  */
 function computeStatistics(listings) {
-  const validListings = listings.filter((listing) => listing.price > 0);
-  const total_count = listings.length;
-  const count = validListings.length;
-  const totalRoomPrice = validListings.reduce(
-    (acc, listing) => acc + listing.price / listing.accommodates,
-    0,
+  return finalizeStatistics(
+    listings.reduce(accumulateStatistics, EMPTY_STATISTICS),
   );
-  const avgPricePerRoom = count ? totalRoomPrice / count : 0;
-  const totalPriceValidListings = validListings.reduce(
-    (acc, listing) => acc + listing.price,
-    0,
-  );
-  const avgPriceValidListings = count ? totalPriceValidListings / count : 0;
+}
 
-  return { total_count, count, avgPricePerRoom, avgPriceValidListings };
+/**
+ * Represents the streaming Airbnb Data Handler object with chainable methods.
+ * @typedef {Object} StreamingAirBnBDataHandlerObject
+ * @property {Function} filter - Adds a filter applied to every streamed listing.
+ * @property {Function} joinReviews - Adds review activity to every streamed listing.
+ * @property {Function} joinCalendar - Adds calendar occupancy and prices to every streamed listing.
+ * @property {Function} convertCurrency - Converts the price of every streamed listing.
+ * @property {Function} computeStats - Requests statistics for the filtered listings.
+ * @property {Function} rankHosts - Requests host rankings for the filtered listings.
+ * @property {Function} run - Consumes the listing source in a single pass.
+ * @property {Function} getData - Retrieves the filtered count, statistics, and top hosts.
+ */
+
+/**
+ * Creates a handler that filters, computes statistics, and ranks hosts over a
+ * listing stream in a single pass, without keeping the listings in memory.
+ * @param {AsyncIterable<Listing>|Iterable<Listing>} source - Listings to process, e.g. from {@link streamListings}.
+ * @returns {StreamingAirBnBDataHandlerObject} Handler with chainable methods.
+ */
+function StreamingAirBnBDataHandler(source) {
+  // Filters and joins, in call order; each returns the listing or null to skip it.
+  const steps = [];
+  let statsRequested = false;
+  let hostOptions = null;
+  let filteredCount = 0;
+  let stats = {};
+  let topHosts = [];
+
+  const handler = {
+    /**
+     * Adds a filter applied to every listing during {@link run}.
+     * @param {string|Object} criteria - Query string or criteria object.
+     * @returns {StreamingAirBnBDataHandlerObject} The handler for chaining.
+     */
+    filter(criteria) {
+      const predicate = createFilterFunction(criteria);
+      steps.push((listing) => (predicate(listing) ? listing : null));
+      return handler;
+    },
+
+    /**
+     * Adds review summary fields to every listing during {@link run}.
+     * @param {Object<string, ReviewSummary>} summary - Review summaries keyed by listing ID.
+     * @returns {StreamingAirBnBDataHandlerObject} The handler for chaining.
+     */
+    joinReviews(summary) {
+      steps.push((listing) =>
+        joinListing(listing, summary, EMPTY_REVIEW_SUMMARY),
+      );
+      return handler;
+    },
+
+    /**
+     * Adds calendar summary fields to every listing during {@link run}.
+     * @param {Object<string, CalendarSummary>} summary - Calendar summaries keyed by listing ID.
+     * @returns {StreamingAirBnBDataHandlerObject} The handler for chaining.
+     */
+    joinCalendar(summary) {
+      steps.push((listing) =>
+        joinListing(listing, summary, EMPTY_CALENDAR_SUMMARY),
+      );
+      return handler;
+    },
+
+    /**
+     * Converts the price of every listing to one currency during {@link run}.
+     * @param {RatesTable} rates - Exchange rates, e.g. from `loadRates`.
+     * @param {string} currency - ISO 4217 code to convert to.
+     * @returns {StreamingAirBnBDataHandlerObject} The handler for chaining.
+     */
+    convertCurrency(rates, currency) {
+      steps.push((listing) => convertListing(listing, rates, currency));
+      return handler;
+    },
+
+    /**
+     * Requests statistics for the filtered listings during {@link run}.
+     * @returns {StreamingAirBnBDataHandlerObject} The handler for chaining.
+     */
+    computeStats() {
+      statsRequested = true;
+      return handler;
+    },
+
+    /**
+     * Requests host rankings for the filtered listings during {@link run}.
+     * @param {HostRankingOptions} [options] - Metric, limit, and minimum listings.
+     * @returns {StreamingAirBnBDataHandlerObject} The handler for chaining.
+     */
+    rankHosts(options = {}) {
+      hostOptions = options;
+      return handler;
+    },
+
+    /**
+     * Consumes the listing source once, applying all requested operations.
+     * @async
+     * @returns {Promise<StreamingAirBnBDataHandlerObject>} The handler for chaining.
+     */
+    async run() {
+      let statsAcc = EMPTY_STATISTICS;
+      const hostTotals = createHostAccumulator();
+      filteredCount = 0;
+
+      for await (const record of source) {
+        const listing = steps.reduce(
+          (current, step) => current && step(current),
+          record,
+        );
+        if (!listing) {
+          continue;
+        }
+        filteredCount++;
+        if (statsRequested) {
+          statsAcc = accumulateStatistics(statsAcc, listing);
+        }
+        if (hostOptions) {
+          accumulateHosts(hostTotals, listing);
+        }
+      }
+
+      stats = statsRequested ? finalizeStatistics(statsAcc) : {};
+      topHosts = hostOptions ? rankHostTotals(hostTotals, hostOptions) : [];
+      return handler;
+    },
+
+    /**
+     * Retrieves the number of filtered listings, statistics, and top hosts.
+     * @returns {Object} {filteredCount: number, stats: Statistics, topHosts: Array<HostRanking>}
+     */
+    getData() {
+      return { filteredCount, stats, topHosts };
+    },
+  };
+
+  return handler;
 }
 
-export { loadListings, AirBnBDataHandler };
+export {
+  loadListings,
+  loadListingsWithReport,
+  streamListings,
+  AirBnBDataHandler,
+  StreamingAirBnBDataHandler,
+  replayHistory,
+  createFilterFunction,
+  computeStatistics,
+};
@@ -0,0 +1,1592 @@
+import fs from "fs/promises";
+import { parseArgs } from "util";
+import {
+  loadListingsWithReport,
+  streamListings,
+  AirBnBDataHandler,
+  StreamingAirBnBDataHandler,
+} from "./AirBnBDataHandler.js";
+import { parseQuery, fromLegacyCriteria } from "./query.js";
+import { summarize, flattenGroups, flattenPivot } from "./statistics.js";
+import { HOST_METRICS } from "./hostRanking.js";
+import { EXPORT_FORMATS, inferFormat } from "./exporters.js";
+import { describeReport, hasIssues } from "./validation.js";
+import { flattenListingDiff, exportDiff } from "./diff.js";
+import { startServer } from "./server.js";
+import { GRID_SHAPES, assertBounds, flattenGrid } from "./geo.js";
+import { OUTLIER_METHODS } from "./pricing.js";
+import {
+  DEFAULT_CONFIG_PATH,
+  loadConfig,
+  combinePresets,
+  runReports,
+} from "./config.js";
+import { loadJoinSummaries } from "./joins.js";
+import { assertCurrencyCode, loadRates, formatMoney } from "./currency.js";
+/**
+ * @module cli
+ */
+
+/**
+ * Process exit codes returned by {@link runCli}.
+ * @readonly
+ * @enum {number}
+ */
+const EXIT_CODES = Object.freeze({
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  NO_RESULTS: 3,
+  INVALID_DATA: 4,
+});
+
+/**
+ * Subcommands understood by the CLI.
+ * @type {Array<string>}
+ */
+const COMMANDS = [
+  "filter",
+  "stats",
+  "hosts",
+  "groups",
+  "pivot",
+  "export",
+  "validate",
+  "diff",
+  "serve",
+  "nearest",
+  "grid",
+  "outliers",
+  "fair-price",
+  "report",
+];
+
+/**
+ * Kinds of problems listed in a validation report.
+ * @type {Array<string>}
+ */
+const ISSUE_KINDS = ["dropped", "duplicates", "coerced", "outOfRange"];
+
+/**
+ * Datasets the export command can write.
+ * @type {Array<string>}
+ */
+const EXPORT_DATA = ["records", "stats", "topHosts", "groups", "pivot", "grid"];
+
+/**
+ * Datasets the diff command can export.
+ * @type {Array<string>}
+ */
+const DIFF_DATA = ["records", "stats", "topHosts"];
+
+/**
+ * Values a pivot table can summarize.
+ * @type {Array<string>}
+ */
+const PIVOT_VALUES = ["price", "pricePerAccommodate"];
+
+/**
+ * Group statistics shown when groups are printed as a table.
+ * @type {Array<string>}
+ */
+const GROUP_COLUMNS = [
+  "count",
+  "currency",
+  "price_mean",
+  "price_median",
+  "price_min",
+  "price_max",
+  "price_stdDev",
+  "price_p25",
+  "price_p75",
+  "pricePerAccommodate_median",
+];
+
+/**
+ * Maps filter flags to the criteria keys used by `createFilterFunction`.
+ * @type {Object<string, string>}
+ */
+const FILTER_FLAGS = {
+  "min-price": "minPrice",
+  "max-price": "maxPrice",
+  "min-rooms": "minRooms",
+  "max-rooms": "maxRooms",
+  "min-review-score": "minReviewScore",
+};
+
+/**
+ * Columns shown when listings are printed as a table.
+ * @type {Array<string>}
+ */
+const LISTING_COLUMNS = [
+  "id",
+  "host_id",
+  "price",
+  "currency",
+  "accommodates",
+  "review_scores_rating",
+];
+
+/**
+ * Statistics shown as amounts of money in the stats table.
+ * @type {Array<string>}
+ */
+const PRICE_STATISTICS = ["avgPricePerRoom", "avgPriceValidListings"];
+
+/**
+ * Columns shown when fair-price estimates are printed as a table.
+ * @type {Array<string>}
+ */
+const FAIR_PRICE_COLUMNS = [
+  "id",
+  "room_type",
+  "neighbourhood_cleansed",
+  "accommodates",
+  "price",
+  "fair_price",
+  "fair_price_comparables",
+  "price_vs_fair",
+  "price_label",
+];
+
+const USAGE = `Usage: node solution/main.js <command> <file.csv> [options]
+       node solution/main.js diff <before.csv> <after.csv> [options]
+       node solution/main.js report <name>... | --all [--config <file.json>]
+       node solution/main.js --interactive
+
+Commands:
+  filter    Print the listings matching the filters
+  stats     Print statistics for the matching listings
+  hosts     Print the top hosts for the matching listings
+  groups    Print price statistics per group of --by fields
+  pivot     Print one statistic for two --by fields, rows × columns
+  export    Write the matching listings (or --data) to --output
+  validate  Print the validation report of the file
+  diff      Compare two snapshots: listings, statistics and host ranking;
+            writes the differences (or --data stats/topHosts) to --output if given
+  serve     Serve the file over a local HTTP JSON API until stopped
+  nearest   Print the --count listings nearest to --listing <id> or --near <lat,lng>
+  grid      Print price statistics per square or hexagonal map cell
+  outliers  Print the listings with an outlier price and the price bounds
+  fair-price
+            Print each listing's price against the median of its comparables
+  report    Run named reports of the config file: load, filter, compute,
+            rank and export in one step
+
+Filters:
+  --min-price <n>  --max-price <n>  --min-rooms <n>  --max-rooms <n>
+  --min-review-score <n>
+  --where <query>  e.g. 'room_type = "Entire home/apt" and price < 200'
+                   Operators: = != < <= > >= ~ /regex/ in (...) between .. and ..
+                   Grouping: and, or, not, ( )
+  --near <lat,lng> --radius <km>   Listings within a distance of a point
+  --bbox <minLng,minLat,maxLng,maxLat>
+  --polygon <file.geojson>         Listings inside a GeoJSON (Multi)Polygon
+  --preset <n1[,n2]>               Presets of the config file that must all match
+
+Joins (applied before the filters):
+  --reviews <file.csv>   Add review_count, first_review_date and last_review_date
+  --calendar <file.csv>  Add calendar_nights, calendar_booked_nights,
+                         occupancy_rate and calendar_avg_price
+  --from <YYYY-MM-DD>    Only count reviews and calendar nights from this date
+  --to <YYYY-MM-DD>      Only count reviews and calendar nights up to this date
+
+Pricing (applied after the joins, before the filters):
+  --outliers <method>    Flag price outliers: iqr, zscore or mad; adds
+                         price_outlier and price_outlier_score
+  --outlier-threshold <x>
+                         Score above which a price is an outlier (default: 1.5
+                         for iqr, 3 for zscore, 3.5 for mad)
+  --outlier-action <name>
+                         flag or exclude the outliers (default: flag)
+  --fair-price           Add fair_price, price_vs_fair and price_label
+                         (underpriced, fair or overpriced), e.g. for --where
+  --tolerance <x>        Relative difference still labelled fair (default: 0.2)
+  --min-comparables <n>  Comparables needed for an estimate (default: 3)
+
+Currency (prices are converted after the joins, before pricing and filters):
+  --locale <tag>         Locale of the prices in the file, e.g. de-DE for
+                         1.234,56 €; also used to format prices (default:
+                         guessed per price)
+  --currency <code>      Currency of prices without a symbol or code, and of
+                         a bare $ (default: USD for $, else unknown)
+  --rates <file.json>    Exchange rates, e.g. {"base": "EUR", "rates": {"USD": 1.08}}
+  --to-currency <code>   Convert all prices to this currency (needs --rates);
+                         statistics refuse to average several currencies
+
+Options:
+  --format <json|table>  Output format (default: table)
+  --output <path>        Export destination (export, diff)
+  --data <name>          Export records, stats, topHosts, groups, pivot or grid
+                         (default: records)
+  --export-format <name> csv, json, ndjson, markdown, html or geojson (default:
+                         from the --output extension, else csv)
+  --columns <c1,c2>      Columns to export, in order
+  --rename <old:new,...> Rename exported columns
+  --by <f1[,f2]>         Fields to group by, e.g. neighbourhood_cleansed,room_type
+  --value <name>         Pivot value: price or pricePerAccommodate (default: price)
+  --statistic <name>     Pivot statistic: mean, median, min, max, stdDev, p25,
+                         p75, p90 or count (default: median)
+  --metric <name>        Host ranking metric: listings, revenue, reviewScore,
+                         capacity, neighbourhoodShare or reviews (needs
+                         --reviews) (default: listings)
+  --limit <n>            Number of hosts to rank (default: 15)
+  --min-listings <n>     Leave out hosts with fewer listings (default: 1)
+  --neighbourhood <name> Rank neighbourhoodShare within one neighbourhood
+  --listing <id>         Listing to find the nearest listings to (nearest)
+  --count <n>            Number of nearest listings (default: 10)
+  --comparable           Only same room type, ±1 guest (nearest --listing)
+  --cell-size <km>       Grid cell size (default: 1)
+  --shape <name>         Grid cell shape: square or hex (default: square)
+  --strict               Fail when any row is dropped, duplicated or out of range
+  --max-errors <n>       Fail when more problems than this are found
+  --max-error-rate <x>   Fail when more than this fraction of rows has problems
+  --config <file.json>   Config file with datasets, presets and reports
+                         (default: ${DEFAULT_CONFIG_PATH})
+  --all                  Run every report of the config file (report)
+  --port <n>             Port of the serve command (default: 3000)
+  --host <address>       Address of the serve command (default: 127.0.0.1)
+  --stream               Process the file in a single streaming pass (stats, hosts)
+  --interactive          Answer prompts instead of passing flags
+  --help                 Show this message
+
+Exit codes: 0 success, 1 runtime error, 2 usage error, 3 no matching listings,
+            4 validation failed (strict mode) or prices in several currencies`;
+
+/**
+ * Creates an error that makes the CLI exit with {@link EXIT_CODES.USAGE}.
+ * @param {string} message - Description of the invalid usage.
+ * @returns {Error} Error carrying the usage exit code.
+ */
+function usageError(message) {
+  const error = new Error(message);
+  error.exitCode = EXIT_CODES.USAGE;
+  return error;
+}
+
+/**
+ * Parsed command-line invocation.
+ * @typedef {Object} CliOptions
+ * @property {string|null} command - Subcommand to run.
+ * @property {string|null} filePath - Listings CSV path.
+ * @property {string|null} compareFilePath - Newer listings CSV path (diff only).
+ * @property {Array<string>} reports - Names of the reports to run (report only).
+ * @property {boolean} allReports - Whether to run every report of the config (report only).
+ * @property {string} configPath - Path of the project config file.
+ * @property {Array<string>} presets - Config presets that must all match, besides the filter flags.
+ * @property {Object} criteria - Criteria tree built from the filter flags and --where.
+ * @property {JoinOptions} joins - Reviews and calendar files joined onto the listings.
+ * @property {GeoOptions} geo - Location filters, nearest-listing search, and grid options.
+ * @property {PricingOptions} pricing - Outlier detection and fair-price estimate.
+ * @property {ConversionOptions|null} conversion - Currency conversion, or null if not requested.
+ * @property {string} format - Output format, "json" or "table".
+ * @property {string|null} output - Export destination.
+ * @property {string} data - Dataset to export: "records", "stats", "topHosts", "groups", or "pivot".
+ * @property {ExportOptions} exportOptions - Format and column options of the export.
+ * @property {Array<string>} groupFields - Fields to group or pivot by.
+ * @property {Object} pivotOptions - Pivot value and statistic.
+ * @property {HostRankingOptions} hostOptions - Host ranking metric, limit, and threshold.
+ * @property {ValidationOptions} validationOptions - Strict mode thresholds, locale, and default
+ *   currency.
+ * @property {{port: number, host: string}} serverOptions - Address of the serve command.
+ * @property {boolean} stream - Whether to use the streaming handler.
+ * @property {boolean} interactive - Whether to run the interactive prompts.
+ * @property {boolean} help - Whether to print usage.
+ */
+
+/**
+ * Files joined onto the listings before filtering.
+ * @typedef {Object} JoinOptions
+ * @property {string|null} reviews - reviews.csv path.
+ * @property {string|null} calendar - calendar.csv path.
+ * @property {DateRange} range - Dates of the reviews and nights to count.
+ */
+
+/**
+ * Location options of a CLI invocation.
+ * @typedef {Object} GeoOptions
+ * @property {GeoPoint|null} near - Center of the radius filter, or the nearest command's target.
+ * @property {number|null} radiusKm - Radius filter, or the nearest command's maximum distance.
+ * @property {BoundingBox|null} bounds - Bounding box filter.
+ * @property {string|null} polygon - Path of a GeoJSON polygon filter.
+ * @property {string|null} listing - Target listing of the nearest command.
+ * @property {number} count - Number of nearest listings.
+ * @property {boolean} comparable - Whether nearest listings must be comparable.
+ * @property {GridOptions} grid - Cell size and shape of the grid command.
+ */
+
+/**
+ * Pricing options of a CLI invocation.
+ * @typedef {Object} PricingOptions
+ * @property {OutlierOptions|null} outliers - Outlier detection, or null if not requested.
+ * @property {FairPriceOptions|null} fairPrice - Fair-price estimate, or null if not requested.
+ */
+
+/**
+ * Currency conversion options of a CLI invocation.
+ * @typedef {Object} ConversionOptions
+ * @property {string} rates - Path of the JSON rates table.
+ * @property {string} currency - ISO 4217 code to convert to.
+ */
+
+/**
+ * Parses command-line arguments into CLI options.
+ * @param {Array<string>} argv - Arguments, without the node and script paths.
+ * @returns {CliOptions} Parsed options.
+ * @throws {Error} A usage error when the arguments are invalid.
+ */
+function parseCliArgs(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        ...Object.fromEntries(
+          Object.keys(FILTER_FLAGS).map((flag) => [flag, { type: "string" }]),
+        ),
+        where: { type: "string", short: "w" },
+        near: { type: "string" },
+        radius: { type: "string" },
+        bbox: { type: "string" },
+        polygon: { type: "string" },
+        listing: { type: "string" },
+        count: { type: "string", default: "10" },
+        comparable: { type: "boolean", default: false },
+        "cell-size": { type: "string", default: "1" },
+        shape: { type: "string", default: "square" },
+        outliers: { type: "string" },
+        "outlier-threshold": { type: "string" },
+        "outlier-action": { type: "string" },
+        "fair-price": { type: "boolean", default: false },
+        tolerance: { type: "string" },
+        "min-comparables": { type: "string" },
+        locale: { type: "string" },
+        currency: { type: "string" },
+        rates: { type: "string" },
+        "to-currency": { type: "string" },
+        reviews: { type: "string" },
+        calendar: { type: "string" },
+        from: { type: "string" },
+        to: { type: "string" },
+        format: { type: "string", default: "table" },
+        output: { type: "string", short: "o" },
+        data: { type: "string", default: "records" },
+        "export-format": { type: "string" },
+        columns: { type: "string" },
+        rename: { type: "string" },
+        by: { type: "string" },
+        value: { type: "string", default: "price" },
+        statistic: { type: "string", default: "median" },
+        metric: { type: "string", default: "listings" },
+        limit: { type: "string", default: "15" },
+        "min-listings": { type: "string", default: "1" },
+        neighbourhood: { type: "string" },
+        strict: { type: "boolean", default: false },
+        "max-errors": { type: "string" },
+        "max-error-rate": { type: "string" },
+        config: { type: "string", default: DEFAULT_CONFIG_PATH },
+        preset: { type: "string" },
+        all: { type: "boolean", default: false },
+        port: { type: "string", default: "3000" },
+        host: { type: "string", default: "127.0.0.1" },
+        stream: { type: "boolean", default: false },
+        interactive: { type: "boolean", short: "i", default: false },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+  } catch (error) {
+    throw usageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  const [command = null, filePath = null, ...rest] = positionals;
+  const options = {
+    command,
+    filePath,
+    compareFilePath: command === "diff" ? (rest.shift() ?? null) : null,
+    reports:
+      command === "report" && filePath ? [filePath, ...rest.splice(0)] : [],
+    allReports: values.all,
+    configPath: values.config,
+    presets: splitList(values.preset),
+    criteria: parseCriteria(values),
+    joins: parseJoinOptions(values),
+    geo: parseGeoOptions(values, command),
+    pricing: parsePricingOptions(values, command),
+    conversion: parseConversionOptions(values),
+    format: values.format,
+    output: values.output ?? null,
+    data: values.data,
+    exportOptions: parseExportOptions(values),
+    groupFields: splitList(values.by),
+    pivotOptions: { value: values.value, statistic: values.statistic },
+    validationOptions: parseValidationOptions(values),
+    hostOptions: {
+      metric: values.metric,
+      limit: parsePositiveInteger(values.limit, "--limit"),
+      minListings: parsePositiveInteger(
+        values["min-listings"],
+        "--min-listings",
+      ),
+      ...(values.neighbourhood != null && {
+        neighbourhood: values.neighbourhood,
+      }),
+    },
+    serverOptions: { port: parsePort(values.port), host: values.host },
+    stream: values.stream,
+    interactive: values.interactive,
+    help: values.help,
+  };
+
+  if (options.help || options.interactive) {
+    return options;
+  }
+  if (!COMMANDS.includes(command)) {
+    throw usageError(
+      command ? `Unknown command: ${command}` : "Missing command.",
+    );
+  }
+  if (command === "report") {
+    if (options.reports.length > 0 === options.allReports) {
+      throw usageError("report requires report names or --all.");
+    }
+    if (options.stream || options.presets.length > 0) {
+      throw usageError(
+        "report takes its presets and options from the config file.",
+      );
+    }
+    return options;
+  }
+  if (options.allReports) {
+    throw usageError("--all is only used by report.");
+  }
+  if (!filePath) {
+    throw usageError("Missing CSV file path.");
+  }
+  if (command === "diff" && !options.compareFilePath) {
+    throw usageError("The diff command requires <before.csv> <after.csv>.");
+  }
+  if (rest.length > 0) {
+    throw usageError(`Unexpected argument: ${rest[0]}`);
+  }
+  if (!["json", "table"].includes(options.format)) {
+    throw usageError(`Unknown format: ${options.format}`);
+  }
+  if (command === "export" && !options.output) {
+    throw usageError("The export command requires --output <path>.");
+  }
+  if (options.stream && !["stats", "hosts"].includes(command)) {
+    throw usageError("--stream is only supported by stats and hosts.");
+  }
+  const { near, bounds, polygon } = options.geo;
+  if (options.stream && (near || bounds || polygon)) {
+    throw usageError("Location filters are not supported with --stream.");
+  }
+  if (
+    options.stream &&
+    (options.pricing.outliers || options.pricing.fairPrice)
+  ) {
+    throw usageError(
+      "--outliers and --fair-price are not supported with --stream.",
+    );
+  }
+  if (!HOST_METRICS.includes(options.hostOptions.metric)) {
+    throw usageError(`Unknown --metric: ${options.hostOptions.metric}`);
+  }
+  if (options.hostOptions.metric === "reviews" && !options.joins.reviews) {
+    throw usageError("--metric reviews requires --reviews <file.csv>.");
+  }
+  if (command === "diff") {
+    if (!DIFF_DATA.includes(options.data)) {
+      throw usageError(`Unknown --data for diff: ${options.data}`);
+    }
+  } else if (!EXPORT_DATA.includes(options.data)) {
+    throw usageError(`Unknown --data: ${options.data}`);
+  }
+  if (!EXPORT_FORMATS.includes(options.exportOptions.format)) {
+    throw usageError(
+      `Unknown --export-format: ${options.exportOptions.format}`,
+    );
+  }
+  const grouping = command === "export" ? options.data : command;
+  if (grouping === "groups" && options.groupFields.length === 0) {
+    throw usageError("Grouping requires --by <field[,field...]>.");
+  }
+  if (grouping === "pivot") {
+    if (options.groupFields.length !== 2) {
+      throw usageError("A pivot requires --by <rowField>,<columnField>.");
+    }
+    if (!PIVOT_VALUES.includes(options.pivotOptions.value)) {
+      throw usageError(`Unknown --value: ${options.pivotOptions.value}`);
+    }
+    if (!(options.pivotOptions.statistic in summarize([]))) {
+      throw usageError(
+        `Unknown --statistic: ${options.pivotOptions.statistic}`,
+      );
+    }
+  }
+  return options;
+}
+
+/**
+ * Builds validation options from the strict mode, --locale, and --currency flags.
+ * @param {Object<string, *>} values - Parsed flag values.
+ * @returns {ValidationOptions} Options with the strict thresholds, locale, and
+ *   default currency, if any.
+ * @throws {Error} A usage error when a threshold, locale, or currency is invalid.
+ */
+function parseValidationOptions(values) {
+  return {
+    ...parseStrictOptions(values),
+    ...(values.locale != null && { locale: parseLocale(values.locale) }),
+    ...(values.currency != null && {
+      currency: parseCurrencyCode(values.currency, "--currency"),
+    }),
+  };
+}
+
+/**
+ * Builds the strict mode options from the --strict, --max-errors, and
+ * --max-error-rate flags.
+ * @param {Object<string, *>} values - Parsed flag values.
+ * @returns {{strict?: (boolean|Object)}} Options with the strict thresholds, if any.
+ * @throws {Error} A usage error when a threshold is not a valid number.
+ */
+function parseStrictOptions(values) {
+  const maxErrors = values["max-errors"];
+  const maxErrorRate = values["max-error-rate"];
+  if (maxErrors == null && maxErrorRate == null) {
+    return values.strict ? { strict: true } : {};
+  }
+  const strict = {};
+  if (maxErrors != null) {
+    strict.maxErrors = Number(maxErrors);
+    if (!Number.isInteger(strict.maxErrors) || strict.maxErrors < 0) {
+      throw usageError("--max-errors must be a non-negative integer.");
+    }
+  }
+  if (maxErrorRate != null) {
+    strict.maxErrorRate = Number(maxErrorRate);
+    if (
+      !(strict.maxErrorRate >= 0 && strict.maxErrorRate <= 1) ||
+      maxErrorRate.trim() === ""
+    ) {
+      throw usageError("--max-error-rate must be a number from 0 to 1.");
+    }
+  }
+  return { strict };
+}
+
+/**
+ * Parses a locale tag.
+ * @param {string} value - Raw flag value.
+ * @returns {string} The canonical tag, e.g. "de-DE".
+ * @throws {Error} A usage error when the tag is invalid.
+ */
+function parseLocale(value) {
+  try {
+    return Intl.getCanonicalLocales(value)[0];
+  } catch {
+    throw usageError(`--locale must be a locale tag like de-DE: ${value}`);
+  }
+}
+
+/**
+ * Parses a currency code; lowercase codes are accepted.
+ * @param {string} value - Raw flag value.
+ * @param {string} flag - Flag name, for the error message.
+ * @returns {string} The ISO 4217 code.
+ * @throws {Error} A usage error when the value is not a three-letter code.
+ */
+function parseCurrencyCode(value, flag) {
+  try {
+    return assertCurrencyCode(value.trim().toUpperCase());
+  } catch {
+    throw usageError(`${flag} must be a currency code like EUR: ${value}`);
+  }
+}
+
+/**
+ * Builds conversion options from the --rates and --to-currency flags.
+ * @param {Object<string, string>} values - Parsed flag values.
+ * @returns {ConversionOptions|null} The conversion, or null if not requested.
+ * @throws {Error} A usage error when only one of the flags is given.
+ */
+function parseConversionOptions(values) {
+  const rates = values.rates ?? null;
+  const to = values["to-currency"] ?? null;
+  if (rates === null && to === null) {
+    return null;
+  }
+  if (rates === null || to === null) {
+    throw usageError("--rates and --to-currency must be used together.");
+  }
+  return { rates, currency: parseCurrencyCode(to, "--to-currency") };
+}
+
+/**
+ * Builds join options from the --reviews, --calendar, --from, and --to flags.
+ * @param {Object<string, string>} values - Parsed flag values.
+ * @returns {JoinOptions} Files to join and the date range.
+ * @throws {Error} A usage error when a date is malformed or there is nothing to join.
+ */
+function parseJoinOptions(values) {
+  const range = {};
+  for (const flag of ["from", "to"]) {
+    if (values[flag] == null) {
+      continue;
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(values[flag])) {
+      throw usageError(`--${flag} must be a date like 2024-01-31.`);
+    }
+    range[flag] = values[flag];
+  }
+  const joins = {
+    reviews: values.reviews ?? null,
+    calendar: values.calendar ?? null,
+    range,
+  };
+  if (Object.keys(range).length > 0 && !joins.reviews && !joins.calendar) {
+    throw usageError("--from and --to require --reviews or --calendar.");
+  }
+  return joins;
+}
+
+/**
+ * Parses a comma-separated list of numbers.
+ * @param {string} value - Raw flag value.
+ * @param {string} flag - Flag name, for the error message.
+ * @param {number} length - Expected number of values.
+ * @returns {Array<number>} The numbers.
+ * @throws {Error} A usage error when the value does not hold `length` numbers.
+ */
+function parseNumbers(value, flag, length) {
+  const parts = value.split(",");
+  const numbers = parts.map((part) => (part.trim() ? Number(part) : NaN));
+  if (parts.length !== length || !numbers.every(Number.isFinite)) {
+    throw usageError(`--${flag} must be ${length} comma-separated numbers.`);
+  }
+  return numbers;
+}
+
+/**
+ * Parses a flag value that must be a positive number.
+ * @param {string} value - Raw flag value.
+ * @param {string} flag - Flag name, for the error message.
+ * @returns {number} The number.
+ * @throws {Error} A usage error when the value is not a positive number.
+ */
+function parsePositiveNumber(value, flag) {
+  const number = value.trim() ? Number(value) : NaN;
+  if (!(number > 0) || !Number.isFinite(number)) {
+    throw usageError(`--${flag} must be a positive number.`);
+  }
+  return number;
+}
+
+/**
+ * Builds location options from the geo flags and checks that they fit the
+ * command.
+ * @param {Object<string, *>} values - Parsed flag values.
+ * @param {string|null} command - Subcommand.
+ * @returns {GeoOptions} Location options.
+ * @throws {Error} A usage error when a value is malformed or a flag does not fit the command.
+ */
+function parseGeoOptions(values, command) {
+  let near = null;
+  if (values.near != null) {
+    const [lat, lng] = parseNumbers(values.near, "near", 2);
+    if (Math.abs(lat) > 90) {
+      throw usageError("--near latitude must be from -90 to 90.");
+    }
+    near = { lat, lng };
+  }
+  let bounds = null;
+  if (values.bbox != null) {
+    try {
+      bounds = assertBounds(parseNumbers(values.bbox, "bbox", 4));
+    } catch (error) {
+      throw error.exitCode ? error : usageError(`--bbox: ${error.message}.`);
+    }
+  }
+  const geo = {
+    near,
+    radiusKm:
+      values.radius != null
+        ? parsePositiveNumber(values.radius, "radius")
+        : null,
+    bounds,
+    polygon: values.polygon ?? null,
+    listing: values.listing ?? null,
+    count: parsePositiveInteger(values.count, "--count"),
+    comparable: values.comparable,
+    grid: {
+      cellSizeKm: parsePositiveNumber(values["cell-size"], "cell-size"),
+      shape: values.shape,
+    },
+  };
+
+  if (!GRID_SHAPES.includes(geo.grid.shape)) {
+    throw usageError(`Unknown --shape: ${geo.grid.shape}`);
+  }
+  if (command === "nearest") {
+    if (Boolean(geo.near) === Boolean(geo.listing)) {
+      throw usageError(
+        "nearest requires either --listing <id> or --near <lat,lng>.",
+      );
+    }
+    if (geo.comparable && !geo.listing) {
+      throw usageError("--comparable requires --listing <id>.");
+    }
+    return geo;
+  }
+  if (geo.listing || geo.comparable) {
+    throw usageError("--listing and --comparable are only used by nearest.");
+  }
+  if (Boolean(geo.near) !== (geo.radiusKm != null)) {
+    throw usageError("--near and --radius must be used together.");
+  }
+  return geo;
+}
+
+/**
+ * Builds pricing options from the outlier and fair-price flags. The outliers
+ * command always detects outliers and the fair-price command always estimates
+ * fair prices.
+ * @param {Object<string, *>} values - Parsed flag values.
+ * @param {string|null} command - Subcommand.
+ * @returns {PricingOptions} Pricing options.
+ * @throws {Error} A usage error when a value is malformed or a flag is used without its feature.
+ */
+function parsePricingOptions(values, command) {
+  let outliers = null;
+  if (values.outliers != null || command === "outliers") {
+    const method = values.outliers ?? "iqr";
+    if (!OUTLIER_METHODS.includes(method)) {
+      throw usageError(`Unknown --outliers method: ${method}`);
+    }
+    const action = values["outlier-action"] ?? "flag";
+    if (!["flag", "exclude"].includes(action)) {
+      throw usageError(`Unknown --outlier-action: ${action}`);
+    }
+    if (command === "outliers" && action === "exclude") {
+      throw usageError("The outliers command cannot exclude the outliers.");
+    }
+    outliers = {
+      method,
+      action,
+      ...(values["outlier-threshold"] != null && {
+        threshold: parsePositiveNumber(
+          values["outlier-threshold"],
+          "outlier-threshold",
+        ),
+      }),
+    };
+  } else if (
+    values["outlier-threshold"] != null ||
+    values["outlier-action"] != null
+  ) {
+    throw usageError(
+      "--outlier-threshold and --outlier-action require --outliers <method>.",
+    );
+  }
+
+  let fairPrice = null;
+  if (values["fair-price"] || command === "fair-price") {
+    fairPrice = {};
+    if (values.tolerance != null) {
+      fairPrice.tolerance = values.tolerance.trim()
+        ? Number(values.tolerance)
+        : NaN;
+      if (
+        !(fairPrice.tolerance >= 0) ||
+        !Number.isFinite(fairPrice.tolerance)
+      ) {
+        throw usageError("--tolerance must be a non-negative number.");
+      }
+    }
+    if (values["min-comparables"] != null) {
+      fairPrice.minComparables = parsePositiveInteger(
+        values["min-comparables"],
+        "--min-comparables",
+      );
+    }
+  } else if (values.tolerance != null || values["min-comparables"] != null) {
+    throw usageError("--tolerance and --min-comparables require --fair-price.");
+  }
+  return { outliers, fairPrice };
+}
+
+/**
+ * Splits a comma-separated flag value.
+ * @param {string} [value] - Raw flag value.
+ * @returns {Array<string>} Trimmed, non-empty items.
+ */
+function splitList(value) {
+  return (value ?? "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Builds export options from the parsed export flags.
+ * @param {Object<string, string>} values - Parsed flag values.
+ * @returns {ExportOptions} Format, columns, and renames.
+ * @throws {Error} A usage error when a --rename entry is not old:new.
+ */
+function parseExportOptions(values) {
+  const rename = Object.fromEntries(
+    splitList(values.rename).map((entry) => {
+      const [from, to, ...extra] = entry.split(":").map((part) => part.trim());
+      if (!from || !to || extra.length > 0) {
+        throw usageError(`--rename entries must look like old:new: ${entry}`);
+      }
+      return [from, to];
+    }),
+  );
+  return {
+    format:
+      values["export-format"] ??
+      (values.output ? inferFormat(values.output) : "csv"),
+    ...(values.columns != null && { columns: splitList(values.columns) }),
+    rename,
+  };
+}
+
+/**
+ * Parses a flag value that must be a positive integer.
+ * @param {string} value - Raw flag value.
+ * @param {string} flag - Flag name, for the error message.
+ * @returns {number} The parsed integer.
+ * @throws {Error} A usage error when the value is not a positive integer.
+ */
+function parsePositiveInteger(value, flag) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw usageError(`${flag} must be a positive integer.`);
+  }
+  return number;
+}
+
+/**
+ * Parses the --port flag.
+ * @param {string} value - Raw flag value.
+ * @returns {number} The port; 0 lets the system pick a free port.
+ * @throws {Error} A usage error when the value is not a valid port.
+ */
+function parsePort(value) {
+  const port = Number(value);
+  if (
+    value.trim() === "" ||
+    !Number.isInteger(port) ||
+    port < 0 ||
+    port > 65535
+  ) {
+    throw usageError("--port must be an integer from 0 to 65535.");
+  }
+  return port;
+}
+
+/**
+ * Builds a criteria tree from the parsed filter flags and `--where` query.
+ * @param {Object<string, string>} values - Parsed flag values.
+ * @returns {Object} Criteria tree accepted by `handler.filter`.
+ * @throws {Error} A usage error when a flag value is not a number or the query is malformed.
+ */
+function parseCriteria(values) {
+  const flagCriteria = Object.entries(FILTER_FLAGS)
+    .filter(([flag]) => values[flag] != null)
+    .reduce((criteria, [flag, key]) => {
+      const value = Number(values[flag]);
+      if (values[flag].trim() === "" || !Number.isFinite(value)) {
+        throw usageError(`--${flag} must be a number.`);
+      }
+      return { ...criteria, [key]: value };
+    }, {});
+
+  if (values.where == null) {
+    return fromLegacyCriteria(flagCriteria);
+  }
+  try {
+    return {
+      and: [fromLegacyCriteria(flagCriteria), parseQuery(values.where)],
+    };
+  } catch (error) {
+    throw usageError(`Invalid --where query: ${error.message}`);
+  }
+}
+
+/**
+ * Formats rows as a plain-text table with aligned columns.
+ * @param {Array<Object>} rows - Rows to format.
+ * @param {Array<string>} columns - Keys of the columns to show.
+ * @returns {string} The formatted table.
+ */
+function formatTable(rows, columns) {
+  const cells = [
+    columns,
+    ...rows.map((row) => columns.map((column) => formatCell(row[column]))),
+  ];
+  const widths = columns.map((_, i) =>
+    Math.max(...cells.map((line) => line[i].length)),
+  );
+  const lines = cells.map((line) =>
+    line
+      .map((cell, i) => cell.padEnd(widths[i]))
+      .join("  ")
+      .trimEnd(),
+  );
+  lines.splice(1, 0, widths.map((width) => "-".repeat(width)).join("  "));
+  return lines.join("\n");
+}
+
+/**
+ * Formats a single value for display in a table.
+ * @param {*} value - Value to format.
+ * @returns {string} The display string.
+ */
+function formatCell(value) {
+  if (value == null) {
+    return "";
+  }
+  if (typeof value === "number" && !Number.isInteger(value)) {
+    return value.toFixed(2);
+  }
+  return String(value);
+}
+
+/**
+ * Renders a command result in the requested format.
+ * @param {CliOptions} options - Parsed CLI options.
+ * @param {*} result - Records, statistics, host rankings, groups, pivot, report, or diff.
+ * @returns {string} The rendered output.
+ */
+function render(
+  { command, format, output, groupFields, hostOptions, validationOptions = {} },
+  result,
+) {
+  if (format === "json") {
+    return JSON.stringify(result, null, 2);
+  }
+  switch (command) {
+    case "filter":
+      return formatTable(result, LISTING_COLUMNS);
+    case "nearest":
+      return formatTable(result, [...LISTING_COLUMNS, "distance_km"]);
+    case "outliers":
+      return [
+        formatTable(result.listings, [
+          ...LISTING_COLUMNS,
+          "price_outlier_score",
+        ]),
+        describeOutliers(result.summary),
+      ].join("\n\n");
+    case "fair-price":
+      return formatTable(result, FAIR_PRICE_COLUMNS);
+    case "stats":
+      return formatTable(
+        Object.entries(result).map(([metric, value]) => ({
+          metric,
+          value:
+            PRICE_STATISTICS.includes(metric) && result.currency
+              ? formatMoney(value, result.currency, validationOptions.locale)
+              : value,
+        })),
+        ["metric", "value"],
+      );
+    case "hosts":
+      return formatTable(
+        result.map((host, index) => ({ rank: index + 1, ...host })),
+        [
+          "rank",
+          "host_id",
+          "host_name",
+          "host_is_superhost",
+          "count",
+          ...(hostOptions.metric === "neighbourhoodShare"
+            ? ["neighbourhood"]
+            : []),
+          "value",
+        ],
+      );
+    case "groups":
+      return formatTable(flattenGroups(result), [
+        ...groupFields,
+        ...GROUP_COLUMNS,
+      ]);
+    case "pivot":
+      return formatTable(flattenPivot(result), [
+        result.rowField,
+        ...result.columns,
+      ]);
+    case "grid":
+      return formatTable(flattenGrid(result), [
+        "grid_cell",
+        "center_lat",
+        "center_lng",
+        ...GROUP_COLUMNS,
+      ]);
+    case "export":
+      return `Exported ${result.count} ${result.data} to ${result.output}`;
+    case "report":
+      return result.map((report) => renderReport(report, format)).join("\n\n");
+    case "validate":
+      return [
+        describeReport(result),
+        `Currencies: ${describeCurrencies(result.currencies)}`,
+        formatTable(
+          ISSUE_KINDS.map((kind) => ({
+            kind,
+            count: result[kind].count,
+            fields: Object.entries(result[kind].byField)
+              .map(([field, count]) => `${field} (${count})`)
+              .join(", "),
+          })),
+          ["kind", "count", "fields"],
+        ),
+        formatTable(
+          ISSUE_KINDS.flatMap((kind) =>
+            result[kind].samples.map((sample) => ({ kind, ...sample })),
+          ),
+          ["kind", "row", "id", "field", "value", "reason"],
+        ),
+      ].join("\n\n");
+    case "diff":
+      return [
+        formatTable(
+          Object.entries(result.summary).map(([metric, value]) => ({
+            metric,
+            value,
+          })),
+          ["metric", "value"],
+        ),
+        formatTable(result.stats, [
+          "metric",
+          "before",
+          "after",
+          "change",
+          "percentChange",
+        ]),
+        formatTable(flattenListingDiff(result), [
+          "change",
+          "id",
+          "host_id",
+          "price_before",
+          "price_after",
+          "price_change",
+          "changed_fields",
+        ]),
+        formatTable(result.hosts, [
+          "host_id",
+          "host_name",
+          "beforeRank",
+          "afterRank",
+          "movement",
+          "status",
+        ]),
+        ...(output ? [`Exported differences to ${output}`] : []),
+      ].join("\n\n");
+    default:
+      return String(result);
+  }
+}
+
+/**
+ * Renders the result of one report as a table, with its statistics, top
+ * hosts, outlier bounds, and exported files.
+ * @param {ReportResult} report - Result of the report.
+ * @param {string} format - Output format of the tables.
+ * @returns {string} The rendered report.
+ */
+function renderReport(report, format) {
+  const { name, dataset, matched, total, stats, topHosts, outliers, exports } =
+    report;
+  if (report.error) {
+    return `Report ${name} failed: ${report.error}`;
+  }
+  return [
+    `Report ${name} (${dataset}): ${matched} of ${total} listings`,
+    render({ command: "stats", format }, stats),
+    render(
+      {
+        command: "hosts",
+        format,
+        hostOptions: { metric: topHosts[0]?.metric },
+      },
+      topHosts,
+    ),
+    outliers && describeOutliers(outliers),
+    exports.map(describeExport).join("\n"),
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+/**
+ * Lists the currencies of a validation report.
+ * @param {Object<string, number>} currencies - Kept rows per currency.
+ * @returns {string} E.g. "EUR (120), USD (3)", or "none".
+ */
+function describeCurrencies(currencies) {
+  const entries = Object.entries(currencies);
+  if (entries.length === 0) {
+    return "none";
+  }
+  return entries.map(([code, count]) => `${code} (${count})`).join(", ");
+}
+
+/**
+ * Describes one export target of a report.
+ * @param {{output: string, data: string, count: number, skipped?: boolean}} target - Export result.
+ * @returns {string} E.g. "Exported 12 records to out/report.csv".
+ */
+function describeExport({ output, data, count, skipped }) {
+  return skipped
+    ? `Skipped ${output}: no ${data} to export`
+    : `Exported ${count} ${data} to ${output}`;
+}
+
+/**
+ * Describes an outlier detection in one line.
+ * @param {OutlierSummary} summary - Summary of the detection.
+ * @returns {string} E.g. "3 of 120 priced listings are outliers (iqr > 1.5): ...".
+ */
+function describeOutliers({
+  method,
+  value,
+  threshold,
+  lower,
+  upper,
+  tested,
+  count,
+}) {
+  const bounds =
+    lower === null
+      ? "no priced listings"
+      : `${value} outside ${formatCell(lower)} to ${formatCell(upper)}`;
+  return `${count} of ${tested} priced listings are outliers (${method} > ${threshold}): ${bounds}`;
+}
+
+/**
+ * Applies the outlier detection and fair-price estimate to a handler.
+ * @param {AirBnBDataHandlerObject} handler - Handler with all listings.
+ * @param {PricingOptions} pricing - Pricing options.
+ * @returns {AirBnBDataHandlerObject} The handler with flagged or excluded
+ *   outliers and estimated fair prices.
+ */
+function applyPricing(handler, { outliers, fairPrice }) {
+  const detected = outliers ? handler.detectOutliers(outliers) : handler;
+  return fairPrice ? detected.estimateFairPrices(fairPrice) : detected;
+}
+
+/**
+ * Converts the prices of a handler's listings with the --rates table; works
+ * with both handler kinds.
+ * @async
+ * @param {Object} handler - In-memory or streaming handler.
+ * @param {ConversionOptions|null} conversion - Conversion options.
+ * @returns {Promise<Object>} The handler with the conversion applied.
+ * @throws {Error} If the rates table cannot be read or is invalid.
+ */
+async function applyConversion(handler, conversion) {
+  if (!conversion) {
+    return handler;
+  }
+  return handler.convertCurrency(
+    await loadRates(conversion.rates),
+    conversion.currency,
+  );
+}
+
+/**
+ * Checks whether a command needs the statistics of the listings. Statistics
+ * are not computed otherwise, so that listings in several currencies can
+ * still be filtered and exported.
+ * @param {CliOptions} options - Parsed CLI options.
+ * @returns {boolean} True for stats, diff, and exports of stats or HTML reports.
+ */
+function needsStatistics({ command, data, exportOptions }) {
+  if (command === "export") {
+    return data === "stats" || exportOptions.format === "html";
+  }
+  return command === "stats" || command === "diff";
+}
+
+/**
+ * Checks whether a command needs the host ranking of the listings. Like
+ * statistics, the ranking is skipped otherwise, since ranking by revenue
+ * refuses listings in several currencies.
+ * @param {CliOptions} options - Parsed CLI options.
+ * @returns {boolean} True for hosts, diff, and exports of topHosts or HTML reports.
+ */
+function needsHostRanking({ command, data, exportOptions }) {
+  if (command === "export") {
+    return data === "topHosts" || exportOptions.format === "html";
+  }
+  return command === "hosts" || command === "diff";
+}
+
+/**
+ * Writes a one-line validation summary to stderr if the file had problems.
+ * @param {ValidationReport} report - Validation report of the loaded file.
+ * @param {NodeJS.WritableStream} stderr - Stream for the warning.
+ * @returns {void}
+ */
+function warnAboutReport(report, stderr) {
+  if (hasIssues(report)) {
+    stderr.write(
+      `Warning: ${describeReport(report)} (run "validate" for details)\n`,
+    );
+  }
+}
+
+/**
+ * Reads the --reviews and --calendar files, with calendar prices read in the
+ * locale and default currency of the listings.
+ * @async
+ * @param {CliOptions} options - Parsed CLI options.
+ * @returns {Promise<{reviews?: Object, calendar?: Object}>} The join summaries.
+ */
+function loadJoins({ joins, validationOptions = {} }) {
+  const { locale, currency } = validationOptions;
+  return loadJoinSummaries({ ...joins, locale, currency });
+}
+
+/**
+ * Applies join summaries to a handler; works with both handler kinds.
+ * @param {Object} handler - In-memory or streaming handler.
+ * @param {{reviews?: Object, calendar?: Object}} summaries - From `loadJoinSummaries`.
+ * @returns {Object} The handler with the joins applied.
+ */
+function applyJoins(handler, { reviews, calendar }) {
+  const withReviews = reviews ? handler.joinReviews(reviews) : handler;
+  return calendar ? withReviews.joinCalendar(calendar) : withReviews;
+}
+
+/**
+ * Applies the location filters, and for the nearest command the nearest
+ * listing search, to a handler.
+ * @async
+ * @param {AirBnBDataHandlerObject} handler - Handler to narrow down.
+ * @param {string} command - Subcommand.
+ * @param {GeoOptions} geo - Location options.
+ * @returns {Promise<AirBnBDataHandlerObject>} The narrowed handler.
+ * @throws {Error} If the polygon file cannot be read or is not valid JSON.
+ */
+async function applyGeoOptions(handler, command, geo) {
+  let result = handler;
+  if (geo.bounds) {
+    result = result.withinBounds(geo.bounds);
+  }
+  if (geo.polygon) {
+    result = result.withinPolygon(
+      JSON.parse(await fs.readFile(geo.polygon, "utf8")),
+    );
+  }
+  if (command === "nearest") {
+    return result.nearest(geo.listing ?? geo.near, geo.count, {
+      comparable: geo.comparable,
+      ...(geo.radiusKm != null && { maxDistanceKm: geo.radiusKm }),
+    });
+  }
+  return geo.near ? result.withinRadius(geo.near, geo.radiusKm) : result;
+}
+
+/**
+ * Runs a subcommand with the streaming handler and returns its result.
+ * @async
+ * @param {CliOptions} options - Parsed CLI options.
+ * @param {NodeJS.WritableStream} stderr - Stream for progress messages.
+ * @returns {Promise<{result: *, matched: number}>} The command result and match count.
+ */
+async function runStreaming(options, stderr) {
+  const onReport = (report) => warnAboutReport(report, stderr);
+  const onProgress = ({ bytesRead, totalBytes, recordCount }) => {
+    const percent = totalBytes ? (100 * bytesRead) / totalBytes : 100;
+    stderr.write(
+      `\rLoaded ${recordCount} rows (${percent.toFixed(0)}%)${percent >= 100 ? "\n" : ""}`,
+    );
+  };
+  const handler = (
+    await applyConversion(
+      applyJoins(
+        StreamingAirBnBDataHandler(
+          streamListings(options.filePath, {
+            onProgress,
+            onReport,
+            ...options.validationOptions,
+          }),
+        ),
+        await loadJoins(options),
+      ),
+      options.conversion,
+    )
+  ).filter(options.criteria);
+  if (options.command === "stats") {
+    handler.computeStats();
+  } else {
+    handler.rankHosts(options.hostOptions);
+  }
+  await handler.run();
+
+  const { filteredCount, stats, topHosts } = handler.getData();
+  return {
+    result: options.command === "stats" ? stats : topHosts,
+    matched: filteredCount,
+  };
+}
+
+/**
+ * Rethrows an export error, giving an export with nothing to write the
+ * NO_RESULTS exit code.
+ * @param {Error} error - Error of `exportData` or `exportDiff`.
+ * @returns {never} Always throws.
+ * @throws {Error} The error.
+ */
+function noResultsOnEmptyExport(error) {
+  if (error.code === "EMPTY_EXPORT") {
+    error.exitCode = EXIT_CODES.NO_RESULTS;
+  }
+  throw error;
+}
+
+/**
+ * Runs a subcommand with the in-memory handler and returns its result.
+ * @async
+ * @param {CliOptions} options - Parsed CLI options.
+ * @param {NodeJS.WritableStream} stderr - Stream for validation warnings.
+ * @returns {Promise<{result: *, matched: number}>} The command result and match count.
+ */
+async function runInMemory(options, stderr) {
+  const { listings, report } = await loadListingsWithReport(
+    options.filePath,
+    options.validationOptions,
+  );
+  const { command, data, groupFields, pivotOptions } = options;
+  if (command === "validate") {
+    return { result: report, matched: report.validRows };
+  }
+  warnAboutReport(report, stderr);
+
+  const converted = await applyConversion(
+    applyJoins(AirBnBDataHandler(listings), await loadJoins(options)),
+    options.conversion,
+  );
+  let handler = await applyGeoOptions(
+    applyPricing(converted, options.pricing).filter(options.criteria),
+    command,
+    options.geo,
+  );
+  if (needsHostRanking(options)) {
+    handler = handler.rankHosts(options.hostOptions);
+  }
+  if (needsStatistics(options)) {
+    handler = handler.computeStats();
+  }
+
+  if (command === "diff") {
+    const newer = await loadListingsWithReport(
+      options.compareFilePath,
+      options.validationOptions,
+    );
+    warnAboutReport(newer.report, stderr);
+    const diff = handler.compareWith(newer.listings);
+    if (options.output) {
+      await exportDiff(diff, options.output, {
+        ...options.exportOptions,
+        data,
+      }).catch(noResultsOnEmptyExport);
+    }
+    return { result: diff, matched: diff.summary.before + diff.summary.after };
+  }
+
+  if (command === "groups" || (command === "export" && data === "groups")) {
+    handler = handler.groupBy(...groupFields);
+  }
+  if (command === "pivot" || (command === "export" && data === "pivot")) {
+    handler = handler.pivot(...groupFields, pivotOptions);
+  }
+  if (command === "grid" || (command === "export" && data === "grid")) {
+    handler = handler.aggregateGrid(options.geo.grid);
+  }
+  if (command === "export") {
+    await handler
+      .exportData(options.output, { ...options.exportOptions, data })
+      .catch(noResultsOnEmptyExport);
+  }
+
+  const { filteredRecords, stats, topHosts, groups, pivot, grid, outliers } =
+    handler.getData();
+  const exported = {
+    records: filteredRecords.length,
+    stats: 1,
+    topHosts: topHosts.length,
+    groups: groups.length,
+    pivot: pivot?.rows.length,
+    grid: grid.length,
+  };
+  const results = {
+    filter: filteredRecords,
+    nearest: filteredRecords,
+    outliers: {
+      summary: outliers,
+      listings: filteredRecords.filter((listing) => listing.price_outlier),
+    },
+    "fair-price": filteredRecords,
+    stats,
+    hosts: topHosts,
+    groups,
+    pivot,
+    grid,
+    export: { output: options.output, data, count: exported[data] },
+  };
+  return {
+    result: results[options.command],
+    matched: filteredRecords.length,
+  };
+}
+
+/**
+ * Adds the --preset presets of the config file to the filter criteria.
+ * @async
+ * @param {CliOptions} options - Parsed CLI options.
+ * @returns {Promise<CliOptions>} The options with the presets in their criteria.
+ * @throws {Error} If the config cannot be loaded; a usage error if a preset is not defined.
+ */
+async function applyPresets(options) {
+  if (options.presets.length === 0) {
+    return options;
+  }
+  const { presets } = await loadConfig(options.configPath);
+  let criteria;
+  try {
+    criteria = combinePresets(presets, options.presets);
+  } catch (error) {
+    throw usageError(`${error.message} in ${options.configPath}.`);
+  }
+  return { ...options, criteria: { and: [options.criteria, criteria] } };
+}
+
+/**
+ * Runs the named reports of the config file, or all of them with --all, and
+ * prints their results.
+ * @async
+ * @param {CliOptions} options - Parsed CLI options.
+ * @param {NodeJS.WritableStream} stdout - Stream for the results.
+ * @param {NodeJS.WritableStream} stderr - Stream for validation warnings.
+ * @returns {Promise<number>} {@link EXIT_CODES.ERROR} if a report failed,
+ *   {@link EXIT_CODES.NO_RESULTS} if no report matched a listing, else {@link EXIT_CODES.OK}.
+ * @throws {Error} If the config cannot be loaded; a usage error if a report is not defined.
+ */
+async function report(options, stdout, stderr) {
+  const config = await loadConfig(options.configPath);
+  const names = options.allReports
+    ? Object.keys(config.reports)
+    : options.reports;
+  const unknown = names.find((name) => !Object.hasOwn(config.reports, name));
+  if (unknown !== undefined) {
+    throw usageError(`Unknown report "${unknown}" in ${options.configPath}.`);
+  }
+  if (names.length === 0) {
+    throw usageError(`No reports defined in ${options.configPath}.`);
+  }
+  const results = await runReports(config, names, {
+    onReport: (_, validationReport) =>
+      warnAboutReport(validationReport, stderr),
+  });
+  stdout.write(`${render(options, results)}\n`);
+  if (results.some(({ error }) => error)) {
+    return EXIT_CODES.ERROR;
+  }
+  return results.some(({ matched }) => matched > 0)
+    ? EXIT_CODES.OK
+    : EXIT_CODES.NO_RESULTS;
+}
+
+/**
+ * Serves the listings file over HTTP until the process receives SIGINT or
+ * SIGTERM.
+ * @async
+ * @param {CliOptions} options - Parsed CLI options.
+ * @param {NodeJS.WritableStream} stdout - Stream for the address message.
+ * @returns {Promise<number>} {@link EXIT_CODES.OK} once the server has stopped.
+ */
+async function serve(
+  { filePath, serverOptions, validationOptions, conversion },
+  stdout,
+) {
+  const server = await startServer(filePath, {
+    ...serverOptions,
+    validationOptions,
+    ...(conversion && {
+      conversion: {
+        rates: await loadRates(conversion.rates),
+        currency: conversion.currency,
+      },
+    }),
+  });
+  const { address, port } = server.address();
+  stdout.write(
+    `Serving ${filePath} on http://${address}:${port} (press Ctrl+C to stop)\n`,
+  );
+  await new Promise((resolve) => {
+    const stop = () => {
+      process.off("SIGINT", stop);
+      process.off("SIGTERM", stop);
+      server.close(resolve);
+    };
+    process.on("SIGINT", stop);
+    process.on("SIGTERM", stop);
+  });
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Runs a non-interactive CLI invocation.
+ * @async
+ * @param {CliOptions} options - Parsed CLI options.
+ * @param {Object} [io] - Output streams.
+ * @param {NodeJS.WritableStream} [io.stdout=process.stdout] - Stream for command output.
+ * @param {NodeJS.WritableStream} [io.stderr=process.stderr] - Stream for errors and progress.
+ * @returns {Promise<number>} The process exit code.
+ */
+async function runCli(
+  options,
+  { stdout = process.stdout, stderr = process.stderr } = {},
+) {
+  if (options.help) {
+    stdout.write(`${USAGE}\n`);
+    return EXIT_CODES.OK;
+  }
+
+  try {
+    if (options.command === "serve") {
+      return await serve(options, stdout);
+    }
+    if (options.command === "report") {
+      return await report(options, stdout, stderr);
+    }
+    const withPresets = await applyPresets(options);
+    const { result, matched } = options.stream
+      ? await runStreaming(withPresets, stderr)
+      : await runInMemory(withPresets, stderr);
+    stdout.write(`${render(options, result)}\n`);
+    return matched > 0 ? EXIT_CODES.OK : EXIT_CODES.NO_RESULTS;
+  } catch (error) {
+    if (error.code === "MIXED_CURRENCIES") {
+      stderr.write(
+        `Error: ${error.message}. Use --currency <code> for prices without one, or --rates with --to-currency.\n`,
+      );
+      return EXIT_CODES.INVALID_DATA;
+    }
+    stderr.write(`Error: ${error.message}\n`);
+    if (error.report) {
+      return EXIT_CODES.INVALID_DATA;
+    }
+    return error.exitCode ?? EXIT_CODES.ERROR;
+  }
+}
+
+export { EXIT_CODES, USAGE, parseCliArgs, formatTable, runCli };
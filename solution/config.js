@@ -0,0 +1,681 @@
+import fs from "fs/promises";
+import path from "path";
+import {
+  loadListingsWithReport,
+  AirBnBDataHandler,
+} from "./AirBnBDataHandler.js";
+import {
+  LEGACY_CRITERIA,
+  parseQuery,
+  isCriteriaNode,
+  fromLegacyCriteria,
+} from "./query.js";
+import { EXPORT_FORMATS } from "./exporters.js";
+import { loadJoinSummaries } from "./joins.js";
+import { assertCurrencyCode, loadRates } from "./currency.js";
+/**
+ * @module config
+ */
+
+/**
+ * A named filter preset: a `--where` query string, a criteria tree, or an
+ * object with the original minPrice, maxPrice, minRooms, maxRooms, and
+ * minReviewScore keys.
+ * @typedef {string|CriteriaNode|Object<string, number>} Preset
+ */
+
+/**
+ * A named listings file and the files joined onto it. Paths are relative to
+ * the config file.
+ * @typedef {Object} DatasetConfig
+ * @property {string} file - listings.csv path.
+ * @property {string} [reviews] - reviews.csv path, joined with `handler.joinReviews`.
+ * @property {string} [calendar] - calendar.csv path, joined with `handler.joinCalendar`.
+ * @property {string} [from] - First review and calendar date to count, YYYY-MM-DD.
+ * @property {string} [to] - Last review and calendar date to count, YYYY-MM-DD.
+ * @property {boolean|Object} [strict] - Strict validation, as in {@link ValidationOptions}.
+ * @property {string} [locale] - Locale of the prices, e.g. "de-DE".
+ * @property {string} [currency] - Currency of prices without a symbol or code.
+ */
+
+/**
+ * One file written by a report.
+ * @typedef {Object} ExportTarget
+ * @property {string} output - Output path, relative to the config file.
+ * @property {string} [data="records"] - "records", "stats", "topHosts", "groups", or "pivot".
+ * @property {string} [format] - Export format; inferred from the output extension by default.
+ * @property {Array<string>} [columns] - Columns to export, in order.
+ * @property {Object<string, string>} [rename] - New column names keyed by original name.
+ * @property {string} [title] - Title of the HTML report; defaults to the report name.
+ */
+
+/**
+ * A named report: which dataset to load, how to filter it, what to compute,
+ * and where to export the results.
+ * @typedef {Object} ReportConfig
+ * @property {string} dataset - Name of a dataset of the config.
+ * @property {string|Array<string>} [presets] - Names of presets that must all match.
+ * @property {string} [where] - Additional query that must match.
+ * @property {OutlierOptions} [outliers] - Outlier detection, run before the filters.
+ * @property {{rates: string, to: string}} [convert] - Rates table (relative to the config
+ *   file) and currency the prices are converted to, after the joins.
+ * @property {FairPriceOptions} [fairPrice] - Fair-price estimate, run before the filters.
+ * @property {HostRankingOptions} [hosts] - Host ranking options.
+ * @property {Array<string>} [groupBy] - Fields of the group statistics.
+ * @property {{by: Array<string>, value?: string, statistic?: string}} [pivot] - Pivot table.
+ * @property {Array<ExportTarget>} [exports] - Files to write.
+ */
+
+/**
+ * A project config file.
+ * @typedef {Object} ProjectConfig
+ * @property {string} path - Absolute path of the config file.
+ * @property {Object<string, DatasetConfig>} datasets - Datasets by name, with absolute paths.
+ * @property {Object<string, Preset>} presets - Filter presets by name.
+ * @property {Object<string, ReportConfig>} reports - Reports by name, with absolute export paths.
+ */
+
+/**
+ * Result of running one report.
+ * @typedef {Object} ReportResult
+ * @property {string} name - Report name.
+ * @property {string} dataset - Dataset name.
+ * @property {number} total - Number of listings loaded.
+ * @property {number} matched - Number of listings left after filtering.
+ * @property {Statistics} stats - Statistics of the matching listings.
+ * @property {Array<HostRanking>} topHosts - Ranked hosts of the matching listings.
+ * @property {OutlierSummary|null} outliers - Outlier detection, if configured.
+ * @property {Array<{output: string, data: string, count: number, skipped?: boolean}>} exports -
+ *   Export targets; `skipped` targets had nothing to export and were not written.
+ * @property {string} [error] - Why the report failed; the other fields are missing then.
+ */
+
+/**
+ * Config file read when no other path is given.
+ * @type {string}
+ */
+const DEFAULT_CONFIG_PATH = "airbnb.config.json";
+
+/**
+ * Keys allowed in each part of a config file.
+ * @type {Object<string, Array<string>>}
+ */
+const ALLOWED_KEYS = {
+  config: ["datasets", "presets", "reports"],
+  dataset: [
+    "file",
+    "reviews",
+    "calendar",
+    "from",
+    "to",
+    "strict",
+    "locale",
+    "currency",
+  ],
+  report: [
+    "dataset",
+    "presets",
+    "where",
+    "convert",
+    "outliers",
+    "fairPrice",
+    "hosts",
+    "groupBy",
+    "pivot",
+    "exports",
+  ],
+  export: ["output", "data", "format", "columns", "rename", "title"],
+};
+
+/**
+ * Datasets a report can export.
+ * @type {Array<string>}
+ */
+const REPORT_DATA = ["records", "stats", "topHosts", "groups", "pivot"];
+
+/**
+ * Creates an error for an invalid config file.
+ * @param {string} where - Location in the config, e.g. "reports.weekly".
+ * @param {string} message - What is wrong.
+ * @returns {Error} The error.
+ */
+function configError(where, message) {
+  return new Error(`Invalid config at ${where}: ${message}`);
+}
+
+/**
+ * Checks whether a value is a plain JSON object.
+ * @param {*} value - Value to check.
+ * @returns {boolean} True for objects that are not arrays or null.
+ */
+function isObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Checks that an object is present and has only known keys.
+ * @param {*} value - Value to check.
+ * @param {string} kind - Key of {@link ALLOWED_KEYS}.
+ * @param {string} where - Location in the config.
+ * @returns {Object} The value.
+ * @throws {Error} If the value is not an object or has an unknown key.
+ */
+function assertKeys(value, kind, where) {
+  if (!isObject(value)) {
+    throw configError(where, "expected an object");
+  }
+  const unknown = Object.keys(value).find(
+    (key) => !ALLOWED_KEYS[kind].includes(key),
+  );
+  if (unknown !== undefined) {
+    throw configError(where, `unknown key "${unknown}"`);
+  }
+  return value;
+}
+
+/**
+ * Converts a preset into a criteria tree for `handler.filter`.
+ * @param {Preset} preset - Preset to convert.
+ * @returns {CriteriaNode} The criteria tree.
+ * @throws {Error} If the query is malformed or a legacy key is unknown or not a number.
+ */
+function presetCriteria(preset) {
+  if (typeof preset === "string") {
+    return parseQuery(preset);
+  }
+  if (!isObject(preset)) {
+    throw new TypeError("A preset must be a query string or an object");
+  }
+  if (isCriteriaNode(preset)) {
+    return preset;
+  }
+  Object.entries(preset).forEach(([key, value]) => {
+    if (!(key in LEGACY_CRITERIA)) {
+      throw new TypeError(`Unknown criteria key "${key}"`);
+    }
+    if (value != null && !Number.isFinite(value)) {
+      throw new TypeError(`${key} must be a number`);
+    }
+  });
+  return fromLegacyCriteria(preset);
+}
+
+/**
+ * Combines named presets into one criteria tree that matches listings
+ * matching every preset.
+ * @param {Object<string, Preset>} presets - Presets by name.
+ * @param {Array<string>} names - Names of the presets to combine.
+ * @returns {CriteriaNode} The combined criteria tree.
+ * @throws {Error} If a preset is not defined or invalid.
+ */
+function combinePresets(presets, names) {
+  return {
+    and: names.map((name) => {
+      if (!Object.hasOwn(presets, name)) {
+        throw new Error(`Unknown preset "${name}"`);
+      }
+      return presetCriteria(presets[name]);
+    }),
+  };
+}
+
+/**
+ * Checks a dataset entry and resolves its paths.
+ * @param {string|DatasetConfig} dataset - File path or dataset object.
+ * @param {string} where - Location in the config.
+ * @param {string} baseDir - Directory of the config file.
+ * @returns {DatasetConfig} The dataset with absolute paths.
+ * @throws {Error} If the entry is invalid.
+ */
+function normalizeDataset(dataset, where, baseDir) {
+  const entry = assertKeys(
+    typeof dataset === "string" ? { file: dataset } : dataset,
+    "dataset",
+    where,
+  );
+  ["file", "reviews", "calendar", "from", "to", "locale", "currency"].forEach(
+    (key) => {
+      if (entry[key] !== undefined && typeof entry[key] !== "string") {
+        throw configError(`${where}.${key}`, "expected a string");
+      }
+    },
+  );
+  if (!entry.file) {
+    throw configError(where, "missing the file path");
+  }
+  if (entry.locale !== undefined) {
+    try {
+      Intl.getCanonicalLocales(entry.locale);
+    } catch (error) {
+      throw configError(`${where}.locale`, error.message);
+    }
+  }
+  if (entry.currency !== undefined) {
+    assertCurrency(entry.currency, `${where}.currency`);
+  }
+  const resolve = (file) => file && path.resolve(baseDir, file);
+  return {
+    ...entry,
+    file: resolve(entry.file),
+    reviews: resolve(entry.reviews),
+    calendar: resolve(entry.calendar),
+  };
+}
+
+/**
+ * Checks a currency code of the config.
+ * @param {*} code - Value to check.
+ * @param {string} where - Location in the config.
+ * @returns {void}
+ * @throws {Error} If the value is not a three-letter uppercase code.
+ */
+function assertCurrency(code, where) {
+  try {
+    assertCurrencyCode(code);
+  } catch (error) {
+    throw configError(where, error.message);
+  }
+}
+
+/**
+ * Checks an export target and resolves its output path.
+ * @param {ExportTarget} target - Export target.
+ * @param {ReportConfig} report - Report the target belongs to.
+ * @param {string} where - Location in the config.
+ * @param {string} baseDir - Directory of the config file.
+ * @returns {ExportTarget} The target with an absolute output path.
+ * @throws {Error} If the target is invalid.
+ */
+function normalizeExport(target, report, where, baseDir) {
+  const {
+    output,
+    data = "records",
+    format,
+  } = assertKeys(target, "export", where);
+  if (typeof output !== "string" || !output) {
+    throw configError(where, "missing the output path");
+  }
+  if (!REPORT_DATA.includes(data)) {
+    throw configError(`${where}.data`, `unknown dataset "${data}"`);
+  }
+  if (data === "groups" && !report.groupBy) {
+    throw configError(`${where}.data`, "groups requires groupBy");
+  }
+  if (data === "pivot" && !report.pivot) {
+    throw configError(`${where}.data`, "pivot requires a pivot");
+  }
+  if (format !== undefined && !EXPORT_FORMATS.includes(format)) {
+    throw configError(`${where}.format`, `unknown format "${format}"`);
+  }
+  return { ...target, output: path.resolve(baseDir, output), data };
+}
+
+/**
+ * Checks a report entry against the datasets and presets of the config.
+ * @param {ReportConfig} report - Report entry.
+ * @param {string} where - Location in the config.
+ * @param {Object} config - Config with normalized datasets and presets.
+ * @param {string} baseDir - Directory of the config file.
+ * @returns {ReportConfig} The report with presets as an array and absolute export paths.
+ * @throws {Error} If the entry is invalid.
+ */
+function normalizeReport(report, where, { datasets, presets }, baseDir) {
+  assertKeys(report, "report", where);
+  if (!Object.hasOwn(datasets, report.dataset)) {
+    throw configError(
+      `${where}.dataset`,
+      `unknown dataset "${report.dataset}"`,
+    );
+  }
+  const presetNames = [report.presets ?? []].flat();
+  const missing = presetNames.find((name) => !Object.hasOwn(presets, name));
+  if (missing !== undefined) {
+    throw configError(`${where}.presets`, `unknown preset "${missing}"`);
+  }
+  if (report.where !== undefined) {
+    try {
+      parseQuery(report.where);
+    } catch (error) {
+      throw configError(`${where}.where`, error.message);
+    }
+  }
+  if (
+    report.groupBy !== undefined &&
+    !(
+      Array.isArray(report.groupBy) &&
+      report.groupBy.length > 0 &&
+      report.groupBy.every((field) => typeof field === "string")
+    )
+  ) {
+    throw configError(`${where}.groupBy`, "expected an array of fields");
+  }
+  if (
+    report.pivot !== undefined &&
+    !(Array.isArray(report.pivot?.by) && report.pivot.by.length === 2)
+  ) {
+    throw configError(`${where}.pivot.by`, "expected [rowField, columnField]");
+  }
+  ["convert", "outliers", "fairPrice", "hosts"].forEach((key) => {
+    if (report[key] !== undefined && !isObject(report[key])) {
+      throw configError(`${where}.${key}`, "expected an object");
+    }
+  });
+  if (report.convert !== undefined) {
+    if (typeof report.convert.rates !== "string" || !report.convert.rates) {
+      throw configError(`${where}.convert`, "missing the rates path");
+    }
+    assertCurrency(report.convert.to, `${where}.convert.to`);
+  }
+  if (report.exports !== undefined && !Array.isArray(report.exports)) {
+    throw configError(`${where}.exports`, "expected an array");
+  }
+  return {
+    ...report,
+    ...(report.convert && {
+      convert: {
+        ...report.convert,
+        rates: path.resolve(baseDir, report.convert.rates),
+      },
+    }),
+    presets: presetNames,
+    exports: (report.exports ?? []).map((target, i) =>
+      normalizeExport(target, report, `${where}.exports[${i}]`, baseDir),
+    ),
+  };
+}
+
+/**
+ * Checks a parsed config file and resolves its paths against the config
+ * file's directory.
+ * @param {Object} raw - Parsed JSON of the config file.
+ * @param {string} filePath - Path of the config file.
+ * @returns {ProjectConfig} The checked config.
+ * @throws {Error} If the config is invalid, naming the first invalid entry.
+ */
+function normalizeConfig(raw, filePath) {
+  assertKeys(raw, "config", "the top level");
+  const baseDir = path.dirname(path.resolve(filePath));
+  const section = (name) => {
+    const value = raw[name] ?? {};
+    if (!isObject(value)) {
+      throw configError(name, "expected an object");
+    }
+    return Object.entries(value);
+  };
+
+  const datasets = Object.fromEntries(
+    section("datasets").map(([name, dataset]) => [
+      name,
+      normalizeDataset(dataset, `datasets.${name}`, baseDir),
+    ]),
+  );
+  const presets = Object.fromEntries(
+    section("presets").map(([name, preset]) => {
+      try {
+        presetCriteria(preset);
+      } catch (error) {
+        throw configError(`presets.${name}`, error.message);
+      }
+      return [name, preset];
+    }),
+  );
+  const reports = Object.fromEntries(
+    section("reports").map(([name, report]) => [
+      name,
+      normalizeReport(
+        report,
+        `reports.${name}`,
+        { datasets, presets },
+        baseDir,
+      ),
+    ]),
+  );
+  return { path: path.resolve(filePath), datasets, presets, reports };
+}
+
+/**
+ * Reads the JSON of a config file.
+ * @async
+ * @param {string} filePath - Path of the config file.
+ * @param {Object} [options] - Read options.
+ * @param {boolean} [options.allowMissing=false] - Return {} if the file does not exist.
+ * @returns {Promise<Object>} The parsed JSON.
+ * @throws {Error} Rejects if the file cannot be read or is not valid JSON.
+ */
+async function readConfigFile(filePath, { allowMissing = false } = {}) {
+  let text;
+  try {
+    text = await fs.readFile(filePath, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      if (allowMissing) {
+        return {};
+      }
+      throw new Error(`Config file not found: ${filePath}`);
+    }
+    throw error;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(
+      `Config file ${filePath} is not valid JSON: ${error.message}`,
+    );
+  }
+}
+
+/**
+ * Loads and checks a project config file.
+ * @async
+ * @param {string} [filePath=DEFAULT_CONFIG_PATH] - Path of the config file.
+ * @returns {Promise<ProjectConfig>} The checked config.
+ * @throws {Error} Rejects if the file is missing, not JSON, or invalid.
+ */
+async function loadConfig(filePath = DEFAULT_CONFIG_PATH) {
+  return normalizeConfig(await readConfigFile(filePath), filePath);
+}
+
+/**
+ * Adds a filter preset to a config file, creating the file if needed. The
+ * rest of the file is written back unchanged.
+ * @async
+ * @param {string} filePath - Path of the config file.
+ * @param {string} name - Preset name.
+ * @param {Preset} preset - Preset to save.
+ * @param {Object} [options] - Save options.
+ * @param {boolean} [options.overwrite=false] - Replace a preset with the same name.
+ * @returns {Promise<void>} Resolves when the file is written.
+ * @throws {Error} Rejects if the name is empty, the preset is invalid, or a preset with
+ *   the name exists and overwrite is false (the error's `code` is then "EEXIST").
+ */
+async function savePreset(filePath, name, preset, { overwrite = false } = {}) {
+  if (typeof name !== "string" || !name.trim()) {
+    throw new TypeError("A preset needs a name");
+  }
+  presetCriteria(preset);
+  const raw = await readConfigFile(filePath, { allowMissing: true });
+  if (!isObject(raw) || (raw.presets != null && !isObject(raw.presets))) {
+    throw configError("presets", "expected an object");
+  }
+  if (!overwrite && Object.hasOwn(raw.presets ?? {}, name)) {
+    const error = new Error(`Preset "${name}" already exists in ${filePath}`);
+    error.code = "EEXIST";
+    throw error;
+  }
+  const updated = { ...raw, presets: { ...raw.presets, [name]: preset } };
+  await fs.writeFile(filePath, `${JSON.stringify(updated, null, 2)}\n`, "utf8");
+}
+
+/**
+ * Creates a loader that reads each dataset of a config once, with its joins.
+ * @param {ProjectConfig} config - Project config.
+ * @param {Object} [options] - Loader options.
+ * @param {function(string, ValidationReport): void} [options.onReport] - Called with the
+ *   dataset name and validation report of each file loaded.
+ * @returns {function(string): Promise<{listings: Array<Listing>, summaries: Object}>}
+ *   Loads a dataset by name.
+ */
+function createDatasetLoader(config, { onReport = () => {} } = {}) {
+  const loaded = new Map();
+  return (name) => {
+    if (!loaded.has(name)) {
+      const { file, reviews, calendar, from, to, strict, locale, currency } =
+        config.datasets[name];
+      const range = {
+        ...(from !== undefined && { from }),
+        ...(to !== undefined && { to }),
+      };
+      loaded.set(
+        name,
+        (async () => {
+          const { listings, report } = await loadListingsWithReport(file, {
+            strict,
+            locale,
+            currency,
+          });
+          onReport(name, report);
+          return {
+            listings,
+            summaries: await loadJoinSummaries({
+              reviews,
+              calendar,
+              range,
+              locale,
+              currency,
+            }),
+          };
+        })(),
+      );
+    }
+    return loaded.get(name);
+  };
+}
+
+/**
+ * Runs a named report: loads its dataset, joins, converts prices, detects
+ * outliers, estimates fair prices, filters, computes statistics, ranks hosts,
+ * groups, and writes its export targets, creating their directories. Targets
+ * with nothing to export, e.g. when no listing matches, are skipped.
+ * @async
+ * @param {ProjectConfig} config - Project config.
+ * @param {string} name - Report name.
+ * @param {Object} [options] - Run options.
+ * @param {function(string): Promise<Object>} [options.loadDataset] - Dataset loader, from
+ *   {@link createDatasetLoader}; shared between the reports of a batch.
+ * @returns {Promise<ReportResult>} The report result.
+ * @throws {Error} Rejects if the report is unknown or a step fails.
+ */
+async function runReport(
+  config,
+  name,
+  { loadDataset = createDatasetLoader(config) } = {},
+) {
+  if (!Object.hasOwn(config.reports, name)) {
+    throw new Error(`Unknown report "${name}"`);
+  }
+  const report = config.reports[name];
+  const { listings, summaries } = await loadDataset(report.dataset);
+
+  let handler = AirBnBDataHandler(listings);
+  if (summaries.reviews) {
+    handler = handler.joinReviews(summaries.reviews);
+  }
+  if (summaries.calendar) {
+    handler = handler.joinCalendar(summaries.calendar);
+  }
+  if (report.convert) {
+    handler = handler.convertCurrency(
+      await loadRates(report.convert.rates),
+      report.convert.to,
+    );
+  }
+  if (report.outliers) {
+    handler = handler.detectOutliers(report.outliers);
+  }
+  if (report.fairPrice) {
+    handler = handler.estimateFairPrices(report.fairPrice);
+  }
+  const criteria = combinePresets(config.presets, report.presets);
+  if (report.where !== undefined) {
+    criteria.and.push(parseQuery(report.where));
+  }
+  handler = handler.filter(criteria).computeStats().rankHosts(report.hosts);
+  if (report.groupBy) {
+    handler = handler.groupBy(...report.groupBy);
+  }
+  if (report.pivot) {
+    const { by, ...pivotOptions } = report.pivot;
+    handler = handler.pivot(...by, pivotOptions);
+  }
+
+  const { filteredRecords, stats, topHosts, groups, pivot, outliers } =
+    handler.getData();
+  const counts = {
+    records: filteredRecords.length,
+    stats: 1,
+    topHosts: topHosts.length,
+    groups: groups.length,
+    pivot: pivot?.rows.length,
+  };
+  const exports = [];
+  for (const { output, ...exportOptions } of report.exports) {
+    await fs.mkdir(path.dirname(output), { recursive: true });
+    const result = { output, data: exportOptions.data };
+    try {
+      await handler.exportData(output, { title: name, ...exportOptions });
+      exports.push({ ...result, count: counts[exportOptions.data] });
+    } catch (error) {
+      // A report whose filters match nothing is empty, not failed.
+      if (error.code !== "EMPTY_EXPORT") {
+        throw error;
+      }
+      exports.push({ ...result, count: 0, skipped: true });
+    }
+  }
+
+  return {
+    name,
+    dataset: report.dataset,
+    total: listings.length,
+    matched: filteredRecords.length,
+    stats,
+    topHosts,
+    outliers,
+    exports,
+  };
+}
+
+/**
+ * Runs several reports in order, loading each dataset once. A failing report
+ * does not stop the batch; its result carries the error message instead.
+ * @async
+ * @param {ProjectConfig} config - Project config.
+ * @param {Array<string>} names - Report names.
+ * @param {Object} [options] - Options for {@link createDatasetLoader}.
+ * @returns {Promise<Array<ReportResult>>} One result per report, in order.
+ */
+async function runReports(config, names, options) {
+  const loadDataset = createDatasetLoader(config, options);
+  const results = [];
+  for (const name of names) {
+    try {
+      results.push(await runReport(config, name, { loadDataset }));
+    } catch (error) {
+      results.push({ name, error: error.message });
+    }
+  }
+  return results;
+}
+
+export {
+  DEFAULT_CONFIG_PATH,
+  REPORT_DATA,
+  presetCriteria,
+  combinePresets,
+  normalizeConfig,
+  loadConfig,
+  savePreset,
+  createDatasetLoader,
+  runReport,
+  runReports,
+};
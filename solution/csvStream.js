@@ -0,0 +1,68 @@
+import fs from "fs/promises";
+import { createReadStream } from "fs";
+import { parse } from "csv-parse";
+/**
+ * @module csvStream
+ */
+
+/**
+ * Progress information reported while a CSV file is streamed.
+ * @typedef {Object} LoadProgress
+ * @property {number} bytesRead - Number of bytes read from the file so far.
+ * @property {number} totalBytes - Size of the file in bytes.
+ * @property {number} recordCount - Number of CSV rows parsed so far.
+ */
+
+/**
+ * Options shared by the CSV parsers used to read InsideAirbnb files.
+ * @type {Object}
+ */
+const CSV_OPTIONS = {
+  columns: true,
+  skip_empty_lines: true,
+  trim: true,
+};
+
+/**
+ * Streams the rows of a CSV file with a header line, one record at a time.
+ * @async
+ * @generator
+ * @param {string} filePath - Path to the CSV file.
+ * @param {Object} [options] - Streaming options.
+ * @param {function(LoadProgress): void} [options.onProgress] - Called periodically while the file loads.
+ * @param {number} [options.progressInterval=1000] - Number of rows between progress reports.
+ * @yields {Object} The next raw record, keyed by column name.
+ */
+async function* streamCsvRecords(
+  filePath,
+  { onProgress, progressInterval = 1000 } = {},
+) {
+  const { size: totalBytes } = await fs.stat(filePath);
+  const input = createReadStream(filePath);
+  const parser = parse(CSV_OPTIONS);
+  let bytesRead = 0;
+  let recordCount = 0;
+
+  input.on("data", (chunk) => {
+    bytesRead += chunk.length;
+  });
+  input.on("error", (error) => parser.destroy(error));
+  input.pipe(parser);
+
+  try {
+    for await (const record of parser) {
+      recordCount++;
+      yield record;
+      if (onProgress && recordCount % progressInterval === 0) {
+        onProgress({ bytesRead, totalBytes, recordCount });
+      }
+    }
+    if (onProgress) {
+      onProgress({ bytesRead, totalBytes, recordCount });
+    }
+  } finally {
+    input.destroy();
+  }
+}
+
+export { CSV_OPTIONS, streamCsvRecords };
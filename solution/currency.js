@@ -0,0 +1,320 @@
+import fs from "fs/promises";
+/**
+ * @module currency
+ */
+
+/**
+ * Exchange rates from one base currency, e.g. `{ base: "EUR", rates: { USD: 1.08 } }`
+ * for 1 EUR = 1.08 USD.
+ * @typedef {Object} RatesTable
+ * @property {string} base - ISO 4217 code of the base currency.
+ * @property {Object<string, number>} rates - Units of each currency per unit of the base,
+ *   keyed by ISO 4217 code; the base itself is 1.
+ */
+
+/**
+ * Currency symbols and the ISO 4217 codes they stand for, longest first so
+ * that "US$" is found before "$". A bare "$" is ambiguous and handled by
+ * {@link detectCurrency}.
+ * @type {Array<[string, string]>}
+ */
+const CURRENCY_SYMBOLS = [
+  ["US$", "USD"],
+  ["NZ$", "NZD"],
+  ["HK$", "HKD"],
+  ["MX$", "MXN"],
+  ["A$", "AUD"],
+  ["C$", "CAD"],
+  ["R$", "BRL"],
+  ["zł", "PLN"],
+  ["€", "EUR"],
+  ["£", "GBP"],
+  ["¥", "JPY"],
+  ["₹", "INR"],
+  ["₩", "KRW"],
+  ["₺", "TRY"],
+  ["₪", "ILS"],
+  ["฿", "THB"],
+];
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+/**
+ * Returns the decimal separator of a locale.
+ * @param {string} locale - BCP 47 locale tag, e.g. "de-DE".
+ * @returns {string} The separator, e.g. ",".
+ * @throws {RangeError} If the locale tag is invalid.
+ */
+function decimalSeparator(locale) {
+  return new Intl.NumberFormat(locale)
+    .formatToParts(1.5)
+    .find(({ type }) => type === "decimal").value;
+}
+
+/**
+ * Guesses the decimal separator of a number without a known locale. When both
+ * "." and "," appear, the last one is the decimal separator. A single
+ * separator followed by exactly three digits, or a repeated one, is taken as
+ * digit grouping, so "1,234" and "1.234" both read as 1234.
+ * @param {string} number - Digits and separators only.
+ * @returns {string} "." or ",".
+ */
+function guessDecimalSeparator(number) {
+  const lastComma = number.lastIndexOf(",");
+  const lastDot = number.lastIndexOf(".");
+  if (lastComma !== -1 && lastDot !== -1) {
+    return lastComma > lastDot ? "," : ".";
+  }
+  const separator = lastComma !== -1 ? "," : ".";
+  const last = Math.max(lastComma, lastDot);
+  const repeated = number.indexOf(separator) !== last;
+  const grouping = last !== -1 && (repeated || number.length - last - 1 === 3);
+  if (grouping) {
+    return separator === "," ? "." : ",";
+  }
+  return separator;
+}
+
+/**
+ * Parses an amount such as "$1,234.00", "1.234,56 €", or "CHF 1'250.50".
+ * Currency symbols, codes, and spaces are ignored.
+ * @param {string} value - Amount text.
+ * @param {Object} [options] - Parsing options.
+ * @param {string} [options.locale] - Locale whose decimal separator is used; by default
+ *   the separator is guessed per value (see {@link guessDecimalSeparator}).
+ * @returns {number|undefined} The amount, or undefined if it has no valid number.
+ * @throws {RangeError} If the locale tag is invalid.
+ */
+function parseAmount(value, { locale } = {}) {
+  const number = value
+    .replace(/−/g, "-")
+    .replace(/[^0-9.,-]/g, "")
+    .replace(/(?!^)-/g, "x");
+  if (!/[0-9]/.test(number)) {
+    return undefined;
+  }
+  const separator = locale ? decimalSeparator(locale) : null;
+  const decimal = [".", ","].includes(separator)
+    ? separator
+    : guessDecimalSeparator(number);
+  const grouping = decimal === "," ? "." : ",";
+  const amount = Number(number.split(grouping).join("").replace(decimal, "."));
+  return Number.isFinite(amount) ? amount : undefined;
+}
+
+/**
+ * Detects the currency of an amount from an ISO 4217 code ("EUR 12,50") or a
+ * symbol ("12,50 €").
+ * @param {string} value - Amount text.
+ * @param {string|null} [fallback=null] - Currency of amounts without a code or symbol, and
+ *   of amounts with a bare "$", which is otherwise read as USD.
+ * @returns {string|null} The ISO 4217 code, or the fallback.
+ */
+function detectCurrency(value, fallback = null) {
+  const code = value.match(/(?:^|[^A-Za-z])([A-Z]{3})(?![A-Za-z])/);
+  if (code) {
+    return code[1];
+  }
+  const symbol = CURRENCY_SYMBOLS.find(([text]) => value.includes(text));
+  if (symbol) {
+    return symbol[1];
+  }
+  return value.includes("$") ? (fallback ?? "USD") : fallback;
+}
+
+/**
+ * Checks a currency code.
+ * @param {*} code - Value to check.
+ * @returns {string} The code.
+ * @throws {TypeError} If the value is not a three-letter uppercase code.
+ */
+function assertCurrencyCode(code) {
+  if (typeof code !== "string" || !CURRENCY_CODE.test(code)) {
+    throw new TypeError(`Invalid currency code "${code}"`);
+  }
+  return code;
+}
+
+/**
+ * Checks a rates table and adds the base currency to its rates.
+ * @param {*} table - Parsed rates table.
+ * @returns {RatesTable} The checked table.
+ * @throws {TypeError} If the base or a rate is invalid.
+ */
+function normalizeRates(table) {
+  if (typeof table !== "object" || table === null) {
+    throw new TypeError("A rates table must be an object");
+  }
+  const base = assertCurrencyCode(table.base);
+  if (typeof table.rates !== "object" || table.rates === null) {
+    throw new TypeError("A rates table needs a rates object");
+  }
+  Object.entries(table.rates).forEach(([code, rate]) => {
+    assertCurrencyCode(code);
+    if (!(rate > 0) || !Number.isFinite(rate)) {
+      throw new TypeError(`The rate of ${code} must be a positive number`);
+    }
+  });
+  return Object.freeze({
+    base,
+    rates: Object.freeze({ ...table.rates, [base]: 1 }),
+  });
+}
+
+/**
+ * Reads a JSON rates table, such as
+ * `{ "base": "EUR", "rates": { "USD": 1.08, "GBP": 0.85 } }`.
+ * @async
+ * @param {string} filePath - Path of the JSON file.
+ * @returns {Promise<RatesTable>} The checked table.
+ * @throws {Error} Rejects if the file cannot be read, is not JSON, or is not a valid table.
+ */
+async function loadRates(filePath) {
+  const text = await fs.readFile(filePath, "utf8");
+  try {
+    return normalizeRates(JSON.parse(text));
+  } catch (error) {
+    throw new Error(`Invalid rates table ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Converts an amount between two currencies of a rates table.
+ * @param {number} amount - Amount to convert.
+ * @param {string} from - Currency of the amount.
+ * @param {string} to - Currency to convert to.
+ * @param {RatesTable} table - Exchange rates.
+ * @returns {number} The converted amount.
+ * @throws {Error} If the table has no rate for either currency.
+ */
+function convertAmount(amount, from, to, { base, rates }) {
+  if (from === to) {
+    return amount;
+  }
+  [from, to].forEach((code) => {
+    if (!Object.hasOwn(rates, code)) {
+      throw new Error(`No exchange rate for ${code} from ${base}`);
+    }
+  });
+  return (amount / rates[from]) * rates[to];
+}
+
+/**
+ * Converts the price of a listing, and its calendar_avg_price if it was
+ * joined, to another currency, keeping the original price in original_price
+ * and original_currency. The calendar price is converted from
+ * calendar_currency, or from the listing's currency if the calendar has none.
+ * @param {Object} listing - Listing with price and currency.
+ * @param {RatesTable} table - Exchange rates.
+ * @param {string} to - Currency to convert to.
+ * @returns {Object} A new listing object in the target currency.
+ * @throws {Error} If a listing with a price has no currency, or a rate is missing.
+ */
+function convertListing(listing, table, to) {
+  const {
+    price,
+    currency = null,
+    calendar_avg_price,
+    calendar_currency = null,
+  } = listing;
+  if (currency === null && price > 0) {
+    throw new Error(
+      `Listing ${listing.id} has a price without a currency; set a default currency`,
+    );
+  }
+  const convert = (amount, from) =>
+    from === null || typeof amount !== "number"
+      ? amount
+      : convertAmount(amount, from, to, table);
+  const calendar = {};
+  if (calendar_avg_price !== undefined) {
+    calendar.calendar_avg_price = convert(
+      calendar_avg_price,
+      calendar_currency ?? currency,
+    );
+    calendar.calendar_currency = to;
+  }
+  return {
+    ...listing,
+    price: convert(price, currency),
+    ...calendar,
+    currency: to,
+    original_price: price,
+    original_currency: currency,
+  };
+}
+
+/**
+ * Returns the one currency a set of prices is in. A null currency, of a price
+ * without a code or symbol, counts as a currency of its own: it cannot be
+ * averaged with known currencies any more than it can be converted.
+ * @param {Iterable<string|null>} currencies - Currency of each price; repeats are fine.
+ * @returns {string|null} The currency, or null for no prices or prices without one.
+ * @throws {Error} If there is more than one currency; the error has code
+ *   "MIXED_CURRENCIES".
+ */
+function assertSingleCurrency(currencies) {
+  const distinct = [...new Set(currencies)];
+  if (distinct.length > 1) {
+    const known = distinct.filter((code) => code !== null).join(", ");
+    const error = new Error(
+      distinct.includes(null)
+        ? `Cannot average prices in ${known} with prices without a currency; set a default currency`
+        : `Cannot average prices in ${known}; convert them to one currency first`,
+    );
+    error.code = "MIXED_CURRENCIES";
+    throw error;
+  }
+  return distinct[0] ?? null;
+}
+
+/**
+ * Returns the one currency of the listings with a price (price > 0).
+ * Listings without a currency field count as prices without a currency.
+ * @param {Array<Object>} listings - Listings to check.
+ * @returns {string|null} The currency, or null if unknown.
+ * @throws {Error} If the prices are in more than one currency; see
+ *   {@link assertSingleCurrency}.
+ */
+function listingsCurrency(listings) {
+  return assertSingleCurrency(
+    listings
+      .filter((listing) => listing.price > 0)
+      .map((listing) => listing.currency ?? null),
+  );
+}
+
+/**
+ * Formats an amount for display, e.g. "$1,234.50" (en-US) or "1.234,50 €" (de-DE).
+ * @param {number|null} amount - Amount to format.
+ * @param {string|null} currency - ISO 4217 code; without one the number is shown with
+ *   two decimals.
+ * @param {string} [locale] - BCP 47 locale tag; the system locale by default.
+ * @returns {string} The formatted amount, or "" without an amount.
+ * @throws {RangeError} If the locale tag or currency code is invalid.
+ */
+function formatMoney(amount, currency, locale) {
+  if (amount == null) {
+    return "";
+  }
+  return new Intl.NumberFormat(
+    locale,
+    currency
+      ? { style: "currency", currency }
+      : { minimumFractionDigits: 2, maximumFractionDigits: 2 },
+  ).format(amount);
+}
+
+export {
+  CURRENCY_SYMBOLS,
+  parseAmount,
+  detectCurrency,
+  assertCurrencyCode,
+  normalizeRates,
+  loadRates,
+  convertAmount,
+  convertListing,
+  assertSingleCurrency,
+  listingsCurrency,
+  formatMoney,
+};
@@ -0,0 +1,352 @@
+import fs from "fs/promises";
+import { inferFormat, selectColumns, renderExport } from "./exporters.js";
+/**
+ * @module diff
+ */
+
+/**
+ * One field whose value differs between two snapshots of a listing.
+ * @typedef {Object} FieldChange
+ * @property {string} field - Column name.
+ * @property {*} before - Value in the older snapshot.
+ * @property {*} after - Value in the newer snapshot.
+ */
+
+/**
+ * Change of one number between two snapshots.
+ * @typedef {Object} NumberChange
+ * @property {number|null} before - Value in the older snapshot.
+ * @property {number|null} after - Value in the newer snapshot.
+ * @property {number|null} change - after - before.
+ * @property {number|null} percentChange - change / before × 100, null if before is 0.
+ */
+
+/**
+ * A listing present in both snapshots with different values.
+ * @typedef {Object} ListingChange
+ * @property {string} id - Listing ID.
+ * @property {string} host_id - Host ID in the newer snapshot.
+ * @property {Array<FieldChange>} changes - Fields that changed.
+ * @property {NumberChange} price - Price in both snapshots.
+ */
+
+/**
+ * Change of one statistic.
+ * @typedef {Object} StatisticChange
+ * @property {string} metric - Statistic name, e.g. "avgPricePerRoom".
+ * @property {number|null} before - Value in the older snapshot.
+ * @property {number|null} after - Value in the newer snapshot.
+ * @property {number|null} change - after - before.
+ * @property {number|null} percentChange - change / before × 100, null if before is 0.
+ */
+
+/**
+ * Movement of one host between two rankings.
+ * @typedef {Object} HostMovement
+ * @property {string} host_id - The ID of the host.
+ * @property {string} host_name - The name of the host.
+ * @property {number|null} beforeRank - 1-based rank in the older ranking, null if not ranked.
+ * @property {number|null} afterRank - 1-based rank in the newer ranking, null if not ranked.
+ * @property {number|null} movement - Places moved up (negative: down), null if not in both.
+ * @property {string} status - "entered", "left", "up", "down", or "unchanged".
+ * @property {number|null} beforeValue - Metric value in the older ranking.
+ * @property {number|null} afterValue - Metric value in the newer ranking.
+ */
+
+/**
+ * Comparison of two listing snapshots.
+ * @typedef {Object} SnapshotDiff
+ * @property {Object} summary - Listing counts: before, after, added, removed, changed,
+ *   unchanged, priceIncreases, priceDecreases, and withoutId (listings that could not be matched).
+ * @property {{added: Array<Object>, removed: Array<Object>, changed: Array<ListingChange>}} listings
+ *   - Listing differences, matched by `id`.
+ * @property {Array<StatisticChange>} stats - Changes of the statistics.
+ * @property {Array<HostMovement>} hosts - Movement in the host rankings.
+ */
+
+/**
+ * Columns that change with every InsideAirbnb scrape and are not compared by default.
+ * @type {Array<string>}
+ */
+const DEFAULT_IGNORED_FIELDS = [
+  "scrape_id",
+  "last_scraped",
+  "calendar_updated",
+  "calendar_last_scraped",
+];
+
+/**
+ * Computes the change between two numbers.
+ * @param {number|null} before - Older value.
+ * @param {number|null} after - Newer value.
+ * @returns {NumberChange} The change.
+ */
+function numberChange(before, after) {
+  const comparable = typeof before === "number" && typeof after === "number";
+  const change = comparable ? after - before : null;
+  return {
+    before: before ?? null,
+    after: after ?? null,
+    change,
+    percentChange: comparable && before !== 0 ? (change / before) * 100 : null,
+  };
+}
+
+/**
+ * Checks whether two field values are the same; missing and null are equal.
+ * @param {*} a - First value.
+ * @param {*} b - Second value.
+ * @returns {boolean} True if the values are equal.
+ */
+function sameValue(a, b) {
+  if (a == null || b == null) {
+    return a == null && b == null;
+  }
+  if (typeof a === "object" || typeof b === "object") {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return Object.is(a, b);
+}
+
+/**
+ * Indexes listings by ID.
+ * @param {Array<Object>} listings - Listings to index.
+ * @returns {Map<string, Object>} Listings with an ID, keyed by ID.
+ */
+function indexById(listings) {
+  return new Map(
+    listings
+      .filter((listing) => listing.id != null)
+      .map((listing) => [listing.id, listing]),
+  );
+}
+
+/**
+ * Finds added, removed, and changed listings, matching them by `id`.
+ * @param {Array<Object>} before - Listings of the older snapshot.
+ * @param {Array<Object>} after - Listings of the newer snapshot.
+ * @param {Object} [options] - Comparison options.
+ * @param {Array<string>} [options.fields] - Columns to compare; all columns if omitted.
+ * @param {Array<string>} [options.ignoreFields=DEFAULT_IGNORED_FIELDS] - Columns never compared.
+ * @returns {{summary: Object, added: Array<Object>, removed: Array<Object>, changed: Array<ListingChange>}}
+ *   The listing differences and their counts.
+ */
+function diffListings(
+  before,
+  after,
+  { fields, ignoreFields = DEFAULT_IGNORED_FIELDS } = {},
+) {
+  const beforeById = indexById(before);
+  const afterById = indexById(after);
+  const added = [...afterById.values()].filter(
+    (listing) => !beforeById.has(listing.id),
+  );
+  const removed = [...beforeById.values()].filter(
+    (listing) => !afterById.has(listing.id),
+  );
+
+  const changed = [...afterById.values()]
+    .filter((listing) => beforeById.has(listing.id))
+    .map((newer) => {
+      const older = beforeById.get(newer.id);
+      const columns = (
+        fields ?? [...new Set([...Object.keys(older), ...Object.keys(newer)])]
+      ).filter((field) => field !== "id" && !ignoreFields.includes(field));
+      const changes = columns
+        .filter((field) => !sameValue(older[field], newer[field]))
+        .map((field) => ({ field, before: older[field], after: newer[field] }));
+      return {
+        id: newer.id,
+        host_id: newer.host_id,
+        changes,
+        price: numberChange(older.price, newer.price),
+      };
+    })
+    .filter(({ changes }) => changes.length > 0);
+
+  return {
+    summary: {
+      before: before.length,
+      after: after.length,
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      unchanged: afterById.size - added.length - changed.length,
+      priceIncreases: changed.filter(({ price }) => price.change > 0).length,
+      priceDecreases: changed.filter(({ price }) => price.change < 0).length,
+      withoutId:
+        before.length - beforeById.size + (after.length - afterById.size),
+    },
+    added,
+    removed,
+    changed,
+  };
+}
+
+/**
+ * Compares two sets of statistics, such as `computeStatistics` results.
+ * @param {Object<string, number>} before - Statistics of the older snapshot.
+ * @param {Object<string, number>} after - Statistics of the newer snapshot.
+ * @returns {Array<StatisticChange>} One change per statistic, in key order.
+ */
+function diffStatistics(before, after) {
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])].map(
+    (metric) => ({ metric, ...numberChange(before[metric], after[metric]) }),
+  );
+}
+
+/**
+ * Compares two host rankings. Hosts are listed in their newer rank order,
+ * followed by the hosts that left the ranking in their older rank order.
+ * @param {Array<HostRanking>} before - Ranking of the older snapshot.
+ * @param {Array<HostRanking>} after - Ranking of the newer snapshot.
+ * @returns {Array<HostMovement>} Movement of every host in either ranking.
+ */
+function diffHostRankings(before, after) {
+  const beforeRanks = new Map(before.map((host, i) => [host.host_id, i + 1]));
+  const afterRanks = new Map(after.map((host, i) => [host.host_id, i + 1]));
+
+  const movement = (host, beforeRank, afterRank) => {
+    const moved = beforeRank && afterRank ? beforeRank - afterRank : null;
+    let status = "unchanged";
+    if (beforeRank == null) {
+      status = "entered";
+    } else if (afterRank == null) {
+      status = "left";
+    } else if (moved !== 0) {
+      status = moved > 0 ? "up" : "down";
+    }
+    return {
+      host_id: host.host_id,
+      host_name: host.host_name,
+      beforeRank: beforeRank ?? null,
+      afterRank: afterRank ?? null,
+      movement: moved,
+      status,
+      beforeValue: beforeRank ? before[beforeRank - 1].value : null,
+      afterValue: afterRank ? after[afterRank - 1].value : null,
+    };
+  };
+
+  return [
+    ...after.map((host, i) =>
+      movement(host, beforeRanks.get(host.host_id), i + 1),
+    ),
+    ...before
+      .filter((host) => !afterRanks.has(host.host_id))
+      .map((host) => movement(host, beforeRanks.get(host.host_id), null)),
+  ];
+}
+
+/**
+ * Compares two snapshots that went through the same pipeline.
+ * @param {{filteredRecords: Array<Object>, stats: Object, topHosts: Array<HostRanking>}} before
+ *   - Data of the older snapshot, e.g. from `handler.getData()`.
+ * @param {{filteredRecords: Array<Object>, stats: Object, topHosts: Array<HostRanking>}} after
+ *   - Data of the newer snapshot.
+ * @param {Object} [options] - Options for {@link diffListings}.
+ * @returns {SnapshotDiff} The differences.
+ */
+function diffSnapshots(before, after, options) {
+  const { summary, ...listings } = diffListings(
+    before.filteredRecords,
+    after.filteredRecords,
+    options,
+  );
+  return {
+    summary,
+    listings,
+    stats: diffStatistics(before.stats, after.stats),
+    hosts: diffHostRankings(before.topHosts, after.topHosts),
+  };
+}
+
+/**
+ * Flattens the listing differences into one row per added, removed, or
+ * changed listing, e.g. for export.
+ * @param {SnapshotDiff} diff - Differences to flatten.
+ * @returns {Array<Object>} Rows with change, id, host_id, price columns, and changed_fields.
+ */
+function flattenListingDiff({ listings: { added, removed, changed } }) {
+  const row = (change, listing, price, changedFields) => ({
+    change,
+    id: listing.id,
+    host_id: listing.host_id,
+    price_before: price.before,
+    price_after: price.after,
+    price_change: price.change,
+    price_percent_change: price.percentChange,
+    changed_fields: changedFields,
+  });
+  return [
+    ...added.map((listing) =>
+      row("added", listing, numberChange(null, listing.price), []),
+    ),
+    ...removed.map((listing) =>
+      row("removed", listing, numberChange(listing.price, null), []),
+    ),
+    ...changed.map((listing) =>
+      row(
+        "changed",
+        listing,
+        listing.price,
+        listing.changes.map(({ field }) => field),
+      ),
+    ),
+  ];
+}
+
+/**
+ * Exports listing differences, statistic changes, or host movement to a file.
+ * The HTML report always includes the summary and host movement.
+ * @async
+ * @param {SnapshotDiff} diff - Differences to export.
+ * @param {string} filePath - Output file path.
+ * @param {ExportOptions} [options] - Dataset ("records", "stats", or "topHosts"), format,
+ *   and column options, as for `handler.exportData`.
+ * @returns {Promise<void>} Resolves when the file is written.
+ * @throws {Error} Rejects if the dataset is empty (the error's `code` is then
+ *   "EMPTY_EXPORT") or unknown, the format is unknown, or the file cannot be written.
+ */
+async function exportDiff(diff, filePath, options = {}) {
+  const {
+    data = "records",
+    format = inferFormat(filePath),
+    columns,
+    rename,
+    title = "Airbnb Snapshot Comparison",
+  } = options;
+  const datasets = {
+    records: () => flattenListingDiff(diff),
+    stats: () => diff.stats,
+    topHosts: () => diff.hosts,
+  };
+  if (!(data in datasets)) {
+    throw new TypeError(`Unknown diff export dataset "${data}"`);
+  }
+
+  const rows = selectColumns(datasets[data](), { columns, rename });
+  if (rows.length === 0) {
+    const error = new Error(`No ${data} differences to export.`);
+    error.code = "EMPTY_EXPORT";
+    throw error;
+  }
+  const contents = renderExport(format, {
+    rows,
+    value: data === "records" ? { summary: diff.summary, rows } : rows,
+    stats: diff.summary,
+    topHosts: diff.hosts,
+    title,
+  });
+  await fs.writeFile(filePath, contents, "utf8");
+}
+
+export {
+  DEFAULT_IGNORED_FIELDS,
+  diffListings,
+  diffStatistics,
+  diffHostRankings,
+  diffSnapshots,
+  flattenListingDiff,
+  exportDiff,
+};
@@ -0,0 +1,235 @@
+import { stringify } from "csv-stringify/sync";
+/**
+ * @module exporters
+ */
+
+/**
+ * Formats data can be exported in.
+ * @type {Array<string>}
+ */
+const EXPORT_FORMATS = ["csv", "json", "ndjson", "markdown", "html", "geojson"];
+
+/**
+ * File extensions and the export formats they imply.
+ * @type {Object<string, string>}
+ */
+const EXTENSION_FORMATS = {
+  csv: "csv",
+  json: "json",
+  ndjson: "ndjson",
+  jsonl: "ndjson",
+  md: "markdown",
+  markdown: "markdown",
+  html: "html",
+  htm: "html",
+  geojson: "geojson",
+};
+
+/**
+ * Everything an exporter may include in its output.
+ * @typedef {Object} ExportContent
+ * @property {Array<Object>} rows - Rows of the exported dataset, after column selection.
+ * @property {Object|Array<Object>} [value] - Dataset as written by JSON; defaults to rows.
+ * @property {Object} [stats] - Statistics shown in the HTML report.
+ * @property {Array<Object>} [topHosts] - Host rankings shown in the HTML report.
+ * @property {string} [title] - Title of the HTML report.
+ * @property {Array<Object|null>} [geometries] - GeoJSON geometry of each row; rows
+ *   without one are written with a null geometry.
+ */
+
+/**
+ * Picks the export format implied by a file extension.
+ * @param {string} filePath - Output file path.
+ * @returns {string} The format, "csv" if the extension is not recognized.
+ */
+function inferFormat(filePath) {
+  const extension = filePath.split(".").pop().toLowerCase();
+  return EXTENSION_FORMATS[extension] ?? "csv";
+}
+
+/**
+ * Keeps and renames the columns of rows.
+ * @param {Array<Object>} rows - Rows to transform.
+ * @param {Object} [options] - Column options.
+ * @param {Array<string>} [options.columns] - Columns to keep, in order; all columns if omitted.
+ * @param {Object<string, string>} [options.rename] - New names keyed by original column name.
+ * @returns {Array<Object>} The transformed rows.
+ */
+function selectColumns(rows, { columns, rename = {} } = {}) {
+  return rows.map((row) =>
+    Object.fromEntries(
+      (columns ?? Object.keys(row)).map((column) => [
+        rename[column] ?? column,
+        row[column],
+      ]),
+    ),
+  );
+}
+
+/**
+ * Collects the column names of rows, in order of first appearance.
+ * @param {Array<Object>} rows - Rows to inspect.
+ * @returns {Array<string>} Column names.
+ */
+function columnsOf(rows) {
+  return [...new Set(rows.flatMap((row) => Object.keys(row)))];
+}
+
+/**
+ * Formats a value for a text cell; arrays are joined with spaces and objects
+ * are written as JSON.
+ * @param {*} value - Value to format.
+ * @returns {string} The cell text.
+ */
+function cellText(value) {
+  if (value == null) {
+    return "";
+  }
+  if (Array.isArray(value)) {
+    return value.join(" ");
+  }
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Escapes text for use in HTML.
+ * @param {string} text - Text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Renders rows as an HTML table.
+ * @param {Array<Object>} rows - Rows to render.
+ * @returns {string} The table markup.
+ */
+function htmlTable(rows) {
+  if (rows.length === 0) {
+    return "<p>No data.</p>";
+  }
+  const columns = columnsOf(rows);
+  const header = columns
+    .map((column) => `<th>${escapeHtml(column)}</th>`)
+    .join("");
+  const body = rows
+    .map(
+      (row) =>
+        `<tr>${columns.map((column) => `<td>${escapeHtml(cellText(row[column]))}</td>`).join("")}</tr>`,
+    )
+    .join("\n");
+  return `<table>\n<thead><tr>${header}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+/**
+ * Renders a self-contained HTML report with statistics, top hosts, and the
+ * exported rows.
+ * @param {ExportContent} content - Report content.
+ * @returns {string} The HTML document.
+ */
+function renderHtmlReport({
+  rows,
+  stats = {},
+  topHosts = [],
+  title = "Airbnb Listings Report",
+}) {
+  const statRows = Object.entries(stats).map(([metric, value]) => ({
+    metric,
+    value,
+  }));
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; margin-bottom: 2rem; }
+th, td { border: 1px solid #ccc; padding: 0.25rem 0.5rem; text-align: left; }
+th { background: #f3f3f3; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>Generated ${escapeHtml(new Date().toISOString())}</p>
+<h2>Statistics</h2>
+${htmlTable(statRows)}
+<h2>Top Hosts</h2>
+${htmlTable(topHosts)}
+<h2>Data (${rows.length} rows)</h2>
+${htmlTable(rows)}
+</body>
+</html>
+`;
+}
+
+/**
+ * Renders rows as a Markdown table.
+ * @param {Array<Object>} rows - Rows to render.
+ * @returns {string} The Markdown table.
+ */
+function renderMarkdown(rows) {
+  const columns = columnsOf(rows);
+  const line = (cells) =>
+    `| ${cells.map((cell) => cell.replace(/\|/g, "\\|").replace(/\n/g, " ")).join(" | ")} |`;
+  return `${[
+    line(columns),
+    line(columns.map(() => "---")),
+    ...rows.map((row) => line(columns.map((column) => cellText(row[column])))),
+  ].join("\n")}\n`;
+}
+
+/**
+ * Renders export content in a format.
+ * @param {string} format - One of {@link EXPORT_FORMATS}.
+ * @param {ExportContent} content - Content to render.
+ * @returns {string} The file contents.
+ * @throws {TypeError} If the format is unknown.
+ */
+function renderExport(format, content) {
+  const { rows, value = rows } = content;
+  switch (format) {
+    case "csv":
+      return stringify(
+        rows.map((row) =>
+          Object.fromEntries(
+            Object.entries(row).map(([key, cell]) => [
+              key,
+              Array.isArray(cell) ? cellText(cell) : cell,
+            ]),
+          ),
+        ),
+        {
+          header: true,
+          columns: columnsOf(rows),
+          cast: { boolean: (value) => String(value) },
+        },
+      );
+    case "json":
+      return `${JSON.stringify(value, null, 2)}\n`;
+    case "ndjson":
+      return rows.map((row) => `${JSON.stringify(row)}\n`).join("");
+    case "markdown":
+      return renderMarkdown(rows);
+    case "html":
+      return renderHtmlReport(content);
+    case "geojson":
+      return `${JSON.stringify(
+        {
+          type: "FeatureCollection",
+          features: rows.map((row, i) => ({
+            type: "Feature",
+            geometry: content.geometries?.[i] ?? null,
+            properties: row,
+          })),
+        },
+        null,
+        2,
+      )}\n`;
+    default:
+      throw new TypeError(`Unknown export format "${format}"`);
+  }
+}
+
+export { EXPORT_FORMATS, inferFormat, selectColumns, renderExport };
@@ -0,0 +1,622 @@
+import { computeGroupStatistics, flattenGroups } from "./statistics.js";
+/**
+ * @module geo
+ */
+
+/**
+ * A geographic point in degrees.
+ * @typedef {Object} GeoPoint
+ * @property {number} lat - Latitude.
+ * @property {number} lng - Longitude.
+ */
+
+/**
+ * A bounding box in GeoJSON order.
+ * @typedef {Array<number>} BoundingBox
+ * @property {number} 0 - Minimum longitude (west).
+ * @property {number} 1 - Minimum latitude (south).
+ * @property {number} 2 - Maximum longitude (east).
+ * @property {number} 3 - Maximum latitude (north).
+ */
+
+/**
+ * Options for finding nearest listings.
+ * @typedef {Object} NearestOptions
+ * @property {function(Object): boolean} [filter] - Only listings passing this predicate are returned.
+ * @property {number} [maxDistanceKm=Infinity] - Listings farther away are left out.
+ */
+
+/**
+ * Options for aggregating listings on a grid.
+ * @typedef {Object} GridOptions
+ * @property {number} [cellSizeKm=1] - Width of a square cell, or distance between hexagon centers.
+ * @property {string} [shape="square"] - "square" or "hex".
+ */
+
+/**
+ * Statistics of the listings in one grid cell.
+ * @typedef {GroupStatistics} GridCell
+ * @property {GeoPoint} center - Center of the cell.
+ * @property {Array<Array<number>>} polygon - Closed ring of [lng, lat] corners of the cell.
+ */
+
+/**
+ * Mean radius of the Earth in kilometres.
+ * @type {number}
+ */
+const EARTH_RADIUS_KM = 6371.0088;
+
+/**
+ * Kilometres per degree of latitude.
+ * @type {number}
+ */
+const KM_PER_DEGREE = (Math.PI * EARTH_RADIUS_KM) / 180;
+
+/**
+ * Shapes of grid cells.
+ * @type {Array<string>}
+ */
+const GRID_SHAPES = ["square", "hex"];
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Reads the coordinates of a listing.
+ * @param {Object} listing - Listing with latitude and longitude columns.
+ * @returns {GeoPoint|null} The location, or null if the listing has none.
+ */
+function listingPoint(listing) {
+  const lat = Number(listing.latitude);
+  const lng = Number(listing.longitude);
+  return listing.latitude != null &&
+    listing.longitude != null &&
+    Number.isFinite(lat) &&
+    Number.isFinite(lng)
+    ? { lat, lng }
+    : null;
+}
+
+/**
+ * Checks that a value is a point with finite coordinates.
+ * @param {*} point - Value to check.
+ * @returns {GeoPoint} The point.
+ * @throws {TypeError} If the value is not a point.
+ */
+function assertPoint(point) {
+  if (
+    !point ||
+    !Number.isFinite(point.lat) ||
+    !Number.isFinite(point.lng) ||
+    Math.abs(point.lat) > 90
+  ) {
+    throw new TypeError("A point needs a lat from -90 to 90 and a finite lng");
+  }
+  return point;
+}
+
+/**
+ * Checks that a value is a bounding box.
+ * @param {*} bounds - Value to check.
+ * @returns {BoundingBox} The bounding box.
+ * @throws {TypeError} If the value is not [minLng, minLat, maxLng, maxLat].
+ */
+function assertBounds(bounds) {
+  if (
+    !Array.isArray(bounds) ||
+    bounds.length !== 4 ||
+    !bounds.every(Number.isFinite) ||
+    bounds[0] > bounds[2] ||
+    bounds[1] > bounds[3]
+  ) {
+    throw new TypeError(
+      "A bounding box must be [minLng, minLat, maxLng, maxLat]",
+    );
+  }
+  return bounds;
+}
+
+/**
+ * Computes the great-circle distance between two points.
+ * @param {GeoPoint} a - First point.
+ * @param {GeoPoint} b - Second point.
+ * @returns {number} Distance in kilometres.
+ */
+function haversineDistance(a, b) {
+  const h =
+    Math.sin(toRadians(b.lat - a.lat) / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) *
+      Math.cos(toRadians(b.lat)) *
+      Math.sin(toRadians(b.lng - a.lng) / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Checks whether a point lies inside a bounding box.
+ * @param {GeoPoint} point - Point to test.
+ * @param {BoundingBox} bounds - Bounding box.
+ * @returns {boolean} True if the point is inside or on the edge.
+ */
+function inBounds({ lat, lng }, [minLng, minLat, maxLng, maxLat]) {
+  return lng >= minLng && lng <= maxLng && lat >= minLat && lat <= maxLat;
+}
+
+/**
+ * Checks whether a point lies inside a ring of [lng, lat] positions, using ray
+ * casting.
+ * @param {GeoPoint} point - Point to test.
+ * @param {Array<Array<number>>} ring - Closed or open ring.
+ * @returns {boolean} True if the point is inside the ring.
+ */
+function inRing({ lat, lng }, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (
+      yi > lat !== yj > lat &&
+      lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi
+    ) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Collects the polygons of a GeoJSON object as arrays of rings.
+ * @param {Object} geojson - Polygon, MultiPolygon, Feature, or FeatureCollection.
+ * @returns {Array<Array<Array<Array<number>>>>} Polygons; each is an outer ring followed by holes.
+ * @throws {TypeError} If the object contains no polygon or an unsupported type.
+ */
+function polygonsOf(geojson) {
+  switch (geojson?.type) {
+    case "Polygon":
+      return [geojson.coordinates];
+    case "MultiPolygon":
+      return geojson.coordinates;
+    case "Feature":
+      return polygonsOf(geojson.geometry);
+    case "FeatureCollection":
+      return geojson.features.flatMap(polygonsOf);
+    default:
+      throw new TypeError(
+        `Expected a GeoJSON Polygon or MultiPolygon, got ${geojson?.type ?? geojson}`,
+      );
+  }
+}
+
+/**
+ * Creates a predicate for points inside a GeoJSON polygon; holes are excluded.
+ * @param {Object} geojson - Polygon, MultiPolygon, Feature, or FeatureCollection.
+ * @returns {function(GeoPoint): boolean} The predicate.
+ * @throws {TypeError} If the object contains no polygon.
+ */
+function createPolygonTest(geojson) {
+  const polygons = polygonsOf(geojson);
+  const valid = polygons.every(
+    (rings) =>
+      Array.isArray(rings) &&
+      rings.every(
+        (ring) =>
+          Array.isArray(ring) &&
+          ring.length >= 3 &&
+          ring.every(
+            (position) =>
+              Array.isArray(position) &&
+              Number.isFinite(position[0]) &&
+              Number.isFinite(position[1]),
+          ),
+      ),
+  );
+  if (polygons.length === 0 || !valid) {
+    throw new TypeError("GeoJSON polygons need rings of [lng, lat] positions");
+  }
+  return (point) =>
+    polygons.some(
+      ([outer, ...holes]) =>
+        inRing(point, outer) && !holes.some((hole) => inRing(point, hole)),
+    );
+}
+
+/**
+ * Computes the bounding box of a GeoJSON polygon.
+ * @param {Object} geojson - Polygon, MultiPolygon, Feature, or FeatureCollection.
+ * @returns {BoundingBox} The bounding box of the outer rings.
+ */
+function polygonBounds(geojson) {
+  const positions = polygonsOf(geojson).flatMap(([outer]) => outer);
+  const lngs = positions.map(([lng]) => lng);
+  const lats = positions.map(([, lat]) => lat);
+  return [
+    Math.min(...lngs),
+    Math.min(...lats),
+    Math.max(...lngs),
+    Math.max(...lats),
+  ];
+}
+
+/**
+ * Checks whether a listing can be compared with another one: a different
+ * listing of the same room type that accommodates at most one guest more or
+ * fewer.
+ * @param {Object} target - Listing to find comparables for.
+ * @param {Object} candidate - Listing to check.
+ * @returns {boolean} True if the candidate is comparable.
+ */
+function isComparable(target, candidate) {
+  return (
+    candidate.id !== target.id &&
+    candidate.room_type === target.room_type &&
+    Math.abs(candidate.accommodates - target.accommodates) <= 1
+  );
+}
+
+/**
+ * Builds a grid index of listings for fast radius, bounding box, and
+ * nearest-neighbour queries. Listings without coordinates are left out.
+ * @param {Array<Object>} listings - Listings to index.
+ * @param {Object} [options] - Index options.
+ * @param {number} [options.cellSizeKm=1] - Height of a grid cell; about the typical query radius works best.
+ * @returns {{size: number, withinRadius: Function, withinBounds: Function, nearest: Function}} The index.
+ */
+function createSpatialIndex(listings, { cellSizeKm = 1 } = {}) {
+  const cellDegrees = cellSizeKm / KM_PER_DEGREE;
+  const cellOf = ({ lat, lng }) => [
+    Math.floor(lat / cellDegrees),
+    Math.floor(lng / cellDegrees),
+  ];
+  const cells = new Map();
+  let size = 0;
+  listings.forEach((listing) => {
+    const point = listingPoint(listing);
+    if (!point) {
+      return;
+    }
+    const key = cellOf(point).join(",");
+    if (!cells.has(key)) {
+      cells.set(key, []);
+    }
+    cells.get(key).push({ listing, point });
+    size++;
+  });
+  const keys = [...cells.keys()].map((key) => key.split(",").map(Number));
+  const extent = {
+    minRow: Math.min(...keys.map(([row]) => row)),
+    maxRow: Math.max(...keys.map(([row]) => row)),
+    minCol: Math.min(...keys.map(([, col]) => col)),
+    maxCol: Math.max(...keys.map(([, col]) => col)),
+  };
+
+  /**
+   * Collects the entries of the cells overlapping a bounding box.
+   * @param {BoundingBox} bounds - Area to cover.
+   * @returns {Array<{listing: Object, point: GeoPoint}>} Candidate entries.
+   */
+  const candidates = ([minLng, minLat, maxLng, maxLat]) => {
+    const [minRow, minCol] = cellOf({ lat: minLat, lng: minLng });
+    const [maxRow, maxCol] = cellOf({ lat: maxLat, lng: maxLng });
+    if ((maxRow - minRow + 1) * (maxCol - minCol + 1) > cells.size) {
+      return [...cells.values()].flat();
+    }
+    const entries = [];
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        entries.push(...(cells.get(`${row},${col}`) ?? []));
+      }
+    }
+    return entries;
+  };
+
+  /**
+   * Visits the entries of the cells at a Chebyshev distance of `ring` cells.
+   * @param {number} row - Row of the center cell.
+   * @param {number} col - Column of the center cell.
+   * @param {number} ring - Distance in cells; 0 is the center cell.
+   * @param {Function} visit - Called with each entry.
+   * @returns {void}
+   */
+  const visitRing = (row, col, ring, visit) => {
+    for (let r = row - ring; r <= row + ring; r++) {
+      const step = Math.abs(r - row) === ring ? 1 : 2 * ring;
+      for (let c = col - ring; c <= col + ring; c += step || 1) {
+        (cells.get(`${r},${c}`) ?? []).forEach(visit);
+      }
+    }
+  };
+
+  return {
+    size,
+
+    /**
+     * Finds the listings within a distance of a point.
+     * @param {GeoPoint} center - Center of the circle.
+     * @param {number} radiusKm - Radius in kilometres.
+     * @returns {Array<Object>} Listings within the radius, with distance_km, nearest first.
+     */
+    withinRadius(center, radiusKm) {
+      assertPoint(center);
+      const latSpan = radiusKm / KM_PER_DEGREE;
+      const cosLat = Math.cos(
+        toRadians(Math.min(89.9, Math.abs(center.lat) + latSpan)),
+      );
+      const lngSpan = Math.min(180, latSpan / cosLat);
+      return candidates([
+        center.lng - lngSpan,
+        center.lat - latSpan,
+        center.lng + lngSpan,
+        center.lat + latSpan,
+      ])
+        .map(({ listing, point }) => ({
+          listing,
+          distance: haversineDistance(center, point),
+        }))
+        .filter(({ distance }) => distance <= radiusKm)
+        .sort((a, b) => a.distance - b.distance)
+        .map(({ listing, distance }) => ({
+          ...listing,
+          distance_km: distance,
+        }));
+    },
+
+    /**
+     * Finds the listings inside a bounding box.
+     * @param {BoundingBox} bounds - Bounding box.
+     * @returns {Array<Object>} Listings inside the box, in no particular order.
+     */
+    withinBounds(bounds) {
+      assertBounds(bounds);
+      return candidates(bounds)
+        .filter(({ point }) => inBounds(point, bounds))
+        .map(({ listing }) => listing);
+    },
+
+    /**
+     * Finds the listings nearest to a point by searching rings of cells
+     * outward until no closer listing can remain.
+     * @param {GeoPoint} center - Point to search from.
+     * @param {number} count - Number of listings to return.
+     * @param {NearestOptions} [options] - Filter and maximum distance.
+     * @returns {Array<Object>} Up to `count` listings with distance_km, nearest first.
+     */
+    nearest(
+      center,
+      count,
+      { filter = () => true, maxDistanceKm = Infinity } = {},
+    ) {
+      assertPoint(center);
+      if (size === 0 || count < 1) {
+        return [];
+      }
+      const [row, col] = cellOf(center);
+      const maxRing = Math.max(
+        Math.abs(row - extent.minRow),
+        Math.abs(row - extent.maxRow),
+        Math.abs(col - extent.minCol),
+        Math.abs(col - extent.maxCol),
+      );
+      const best = [];
+      const limit = () =>
+        best.length < count ? maxDistanceKm : best[best.length - 1].distance;
+
+      for (let ring = 0; ring <= maxRing; ring++) {
+        // Any listing in this ring is at least (ring - 1) cells away in
+        // latitude or longitude; stop once that exceeds the current limit.
+        const gap = Math.max(0, ring - 1) * cellDegrees;
+        const maxLat = Math.min(
+          90,
+          Math.abs(center.lat) + (ring + 1) * cellDegrees,
+        );
+        const lowerBound = Math.min(
+          gap * KM_PER_DEGREE,
+          2 *
+            EARTH_RADIUS_KM *
+            Math.asin(
+              Math.cos(toRadians(maxLat)) *
+                Math.sin(toRadians(Math.min(180, gap)) / 2),
+            ),
+        );
+        if (lowerBound > limit()) {
+          break;
+        }
+        visitRing(row, col, ring, ({ listing, point }) => {
+          const distance = haversineDistance(center, point);
+          if (distance > limit() || !filter(listing)) {
+            return;
+          }
+          const index = best.findIndex((entry) => entry.distance > distance);
+          best.splice(index === -1 ? best.length : index, 0, {
+            listing,
+            distance,
+          });
+          if (best.length > count) {
+            best.pop();
+          }
+        });
+      }
+      return best.map(({ listing, distance }) => ({
+        ...listing,
+        distance_km: distance,
+      }));
+    },
+  };
+}
+
+/**
+ * Projects a point onto a flat plane in kilometres around a reference latitude.
+ * @param {GeoPoint} point - Point to project.
+ * @param {number} cosLat - Cosine of the reference latitude.
+ * @returns {{x: number, y: number}} Projected coordinates.
+ */
+function project({ lat, lng }, cosLat) {
+  return { x: lng * KM_PER_DEGREE * cosLat, y: lat * KM_PER_DEGREE };
+}
+
+/**
+ * Converts projected coordinates back to a point.
+ * @param {{x: number, y: number}} xy - Projected coordinates.
+ * @param {number} cosLat - Cosine of the reference latitude.
+ * @returns {GeoPoint} The point.
+ */
+function unproject({ x, y }, cosLat) {
+  return { lat: y / KM_PER_DEGREE, lng: x / (KM_PER_DEGREE * cosLat) };
+}
+
+/**
+ * Cell geometry of each grid shape, in projected kilometres.
+ * @type {Object<string, {cellOf: Function, center: Function, corners: Function}>}
+ */
+const GRID_GEOMETRY = {
+  square: {
+    cellOf: ({ x, y }, size) => [Math.floor(x / size), Math.floor(y / size)],
+    center: ([i, j], size) => ({ x: (i + 0.5) * size, y: (j + 0.5) * size }),
+    corners: ([i, j], size) =>
+      [
+        [i, j],
+        [i + 1, j],
+        [i + 1, j + 1],
+        [i, j + 1],
+      ].map(([a, b]) => ({ x: a * size, y: b * size })),
+  },
+  // Pointy-top hexagons in axial coordinates; `size` is the distance between
+  // neighbouring centers.
+  hex: {
+    cellOf: ({ x, y }, size) => {
+      const radius = size / Math.sqrt(3);
+      const q = ((Math.sqrt(3) / 3) * x - y / 3) / radius;
+      const r = ((2 / 3) * y) / radius;
+      const s = -q - r;
+      let [rq, rr, rs] = [Math.round(q), Math.round(r), Math.round(s)];
+      const [dq, dr, ds] = [
+        Math.abs(rq - q),
+        Math.abs(rr - r),
+        Math.abs(rs - s),
+      ];
+      if (dq > dr && dq > ds) {
+        rq = -rr - rs;
+      } else if (dr > ds) {
+        rr = -rq - rs;
+      }
+      return [rq, rr];
+    },
+    center: ([q, r], size) => {
+      const radius = size / Math.sqrt(3);
+      return {
+        x: radius * Math.sqrt(3) * (q + r / 2),
+        y: radius * 1.5 * r,
+      };
+    },
+    corners: (cell, size) => {
+      const { x, y } = GRID_GEOMETRY.hex.center(cell, size);
+      const radius = size / Math.sqrt(3);
+      return [0, 1, 2, 3, 4, 5].map((corner) => {
+        const angle = toRadians(60 * corner - 30);
+        return {
+          x: x + radius * Math.cos(angle),
+          y: y + radius * Math.sin(angle),
+        };
+      });
+    },
+  },
+};
+
+/**
+ * Aggregates listings into square or hexagonal cells and summarizes price and
+ * price per accommodate in each cell. Listings without coordinates are left out.
+ * @param {Array<Object>} listings - Listings to aggregate.
+ * @param {GridOptions} [options] - Cell size and shape.
+ * @returns {Array<GridCell>} Cells with at least one listing, sorted by descending count.
+ * @throws {TypeError} If the shape or cell size is invalid.
+ * @throws {Error} If the prices are in more than one currency; the error has code
+ *   "MIXED_CURRENCIES".
+ */
+function aggregateGrid(listings, { cellSizeKm = 1, shape = "square" } = {}) {
+  if (!GRID_SHAPES.includes(shape)) {
+    throw new TypeError(`Unknown grid shape "${shape}"`);
+  }
+  if (!(cellSizeKm > 0)) {
+    throw new TypeError("The grid cell size must be a positive number");
+  }
+  const located = listings
+    .map((listing) => ({ listing, point: listingPoint(listing) }))
+    .filter(({ point }) => point);
+  if (located.length === 0) {
+    return [];
+  }
+
+  // Project around the mean latitude so cells have about the same area.
+  const cosLat = Math.cos(
+    toRadians(
+      located.reduce((acc, { point }) => acc + point.lat, 0) / located.length,
+    ),
+  );
+  const geometry = GRID_GEOMETRY[shape];
+  const cellIds = new Map();
+  const tagged = located.map(({ listing, point }) => {
+    const cell = geometry.cellOf(project(point, cosLat), cellSizeKm);
+    const id = cell.join(":");
+    cellIds.set(id, cell);
+    return { ...listing, grid_cell: id };
+  });
+
+  return computeGroupStatistics(tagged, ["grid_cell"]).map((group) => {
+    const cell = cellIds.get(group.key.grid_cell);
+    const ring = geometry
+      .corners(cell, cellSizeKm)
+      .map((xy) => unproject(xy, cosLat))
+      .map(({ lat, lng }) => [lng, lat]);
+    return {
+      ...group,
+      center: unproject(geometry.center(cell, cellSizeKm), cosLat),
+      polygon: [...ring, ring[0]],
+    };
+  });
+}
+
+/**
+ * Flattens grid cells into one row per cell, e.g. for tables or CSV.
+ * @param {Array<GridCell>} cells - Grid cells.
+ * @returns {Array<Object>} Rows with grid_cell, center_lat, center_lng, count, currency,
+ *   and `price_<stat>` and `pricePerAccommodate_<stat>` columns.
+ */
+function flattenGrid(cells) {
+  return flattenGroups(cells).map(({ grid_cell, ...stats }, i) => ({
+    grid_cell,
+    center_lat: cells[i].center.lat,
+    center_lng: cells[i].center.lng,
+    ...stats,
+  }));
+}
+
+/**
+ * Creates GeoJSON geometries for export rows: grid cells become polygons and
+ * listings become points.
+ * @param {Array<Object>} items - Listings or grid cells, before column selection.
+ * @returns {Array<Object|null>} One geometry per item, null if it has no location.
+ */
+function geometriesOf(items) {
+  return items.map((item) => {
+    if (Array.isArray(item.polygon)) {
+      return { type: "Polygon", coordinates: [item.polygon] };
+    }
+    const point = listingPoint(item);
+    return point
+      ? { type: "Point", coordinates: [point.lng, point.lat] }
+      : null;
+  });
+}
+
+export {
+  GRID_SHAPES,
+  listingPoint,
+  assertPoint,
+  assertBounds,
+  haversineDistance,
+  inBounds,
+  createPolygonTest,
+  polygonBounds,
+  isComparable,
+  createSpatialIndex,
+  aggregateGrid,
+  flattenGrid,
+  geometriesOf,
+};
@@ -0,0 +1,245 @@
+import { assertSingleCurrency } from "./currency.js";
+/**
+ * @module hostRanking
+ */
+
+/**
+ * Represents a host's ranking.
+ * @typedef {Object} HostRanking
+ * @property {string} host_id - The ID of the host.
+ * @property {string} host_name - The name of the host.
+ * @property {boolean|null} host_is_superhost - Superhost flag (null if unknown).
+ * @property {number} count - Number of listings owned by the host.
+ * @property {string} metric - Metric the host was ranked by.
+ * @property {number} value - Value of the metric for the host.
+ * @property {string} [neighbourhood] - Neighbourhood of the share (neighbourhoodShare only).
+ * @property {Array<string>} listing_ids - IDs of the listings that contributed to the value.
+ */
+
+/**
+ * Options for ranking hosts.
+ * @typedef {Object} HostRankingOptions
+ * @property {string} [metric="listings"] - One of {@link HOST_METRICS}.
+ * @property {number} [limit=15] - Maximum number of hosts to return.
+ * @property {number} [minListings=1] - Hosts with fewer listings are left out.
+ * @property {string} [neighbourhood] - For neighbourhoodShare, the neighbourhood to rank
+ *   hosts in; by default each host's largest share across neighbourhoods is used.
+ */
+
+/**
+ * Running per-host totals built by {@link accumulateHosts}.
+ * @typedef {Object} HostAccumulator
+ * @property {Map<string, Object>} hosts - Totals keyed by host ID.
+ * @property {Map<string, number>} neighbourhoods - Listing counts keyed by neighbourhood.
+ * @property {Set<string|null>} currencies - Currencies of listings with a price.
+ */
+
+/**
+ * Metrics hosts can be ranked by.
+ * - listings: number of listings.
+ * - revenue: estimated yearly revenue, price × booked nights, where booked
+ *   nights are the nights of the year not listed in availability_365.
+ * - reviewScore: average review score over listings that have one.
+ * - capacity: total number of guests accommodated.
+ * - neighbourhoodShare: share of a neighbourhood's listings owned by the host.
+ * - reviews: number of reviews, from review_count added by `handler.joinReviews`.
+ * @type {Array<string>}
+ */
+const HOST_METRICS = [
+  "listings",
+  "revenue",
+  "reviewScore",
+  "capacity",
+  "neighbourhoodShare",
+  "reviews",
+];
+
+/**
+ * Estimates the nights per year a listing is booked from its availability.
+ * @param {Object} listing - Listing with an availability_365 column.
+ * @returns {number} Booked nights, 0 if availability is unknown.
+ */
+function bookedNights(listing) {
+  const available = Number.parseInt(listing.availability_365);
+  return Number.isNaN(available)
+    ? 0
+    : Math.min(365, Math.max(0, 365 - available));
+}
+
+/**
+ * Converts a CSV superhost flag ("t"/"f") to a boolean.
+ * @param {*} value - Raw host_is_superhost value.
+ * @returns {boolean|null} The flag, or null if unknown.
+ */
+function parseSuperhost(value) {
+  if (value === true || value === "t" || value === "true") {
+    return true;
+  }
+  return value === false || value === "f" || value === "false" ? false : null;
+}
+
+/**
+ * Creates an empty accumulator for {@link accumulateHosts}.
+ * @returns {HostAccumulator} Empty totals.
+ */
+function createHostAccumulator() {
+  return { hosts: new Map(), neighbourhoods: new Map(), currencies: new Set() };
+}
+
+/**
+ * Reducer that adds a listing to the per-host totals.
+ * @param {HostAccumulator} acc - Totals so far.
+ * @param {Object} listing - Listing to add.
+ * @returns {HostAccumulator} The updated totals.
+ */
+function accumulateHosts(acc, listing) {
+  const neighbourhood = String(listing.neighbourhood_cleansed ?? "");
+  if (!acc.hosts.has(listing.host_id)) {
+    acc.hosts.set(listing.host_id, {
+      host_id: listing.host_id,
+      host_name: listing.host_name ?? "",
+      host_is_superhost: parseSuperhost(listing.host_is_superhost),
+      listing_ids: [],
+      revenue: 0,
+      ratingTotal: 0,
+      ratingCount: 0,
+      capacity: 0,
+      reviews: 0,
+      neighbourhoods: new Map(),
+    });
+  }
+  const host = acc.hosts.get(listing.host_id);
+  host.listing_ids.push(listing.id);
+  host.revenue += listing.price * bookedNights(listing);
+  if (listing.price > 0) {
+    acc.currencies.add(listing.currency ?? null);
+  }
+  if (listing.review_scores_rating > 0) {
+    host.ratingTotal += listing.review_scores_rating;
+    host.ratingCount++;
+  }
+  host.capacity += listing.accommodates;
+  host.reviews += Number(listing.review_count) || 0;
+  if (!host.neighbourhoods.has(neighbourhood)) {
+    host.neighbourhoods.set(neighbourhood, []);
+  }
+  host.neighbourhoods.get(neighbourhood).push(listing.id);
+  acc.neighbourhoods.set(
+    neighbourhood,
+    (acc.neighbourhoods.get(neighbourhood) ?? 0) + 1,
+  );
+  return acc;
+}
+
+/**
+ * Computes a host's value for a metric.
+ * @param {Object} host - Per-host totals.
+ * @param {string} metric - One of {@link HOST_METRICS}.
+ * @param {HostRankingOptions} options - Ranking options.
+ * @param {Map<string, number>} neighbourhoods - Listing counts keyed by neighbourhood.
+ * @returns {{value: number, listing_ids: Array<string>, neighbourhood?: string}|null} The value
+ *   and contributing listings, or null if the host cannot be ranked.
+ */
+function metricValue(host, metric, options, neighbourhoods) {
+  const { listing_ids } = host;
+  switch (metric) {
+    case "listings":
+      return { value: listing_ids.length, listing_ids };
+    case "revenue":
+      return { value: host.revenue, listing_ids };
+    case "reviewScore":
+      return host.ratingCount
+        ? { value: host.ratingTotal / host.ratingCount, listing_ids }
+        : null;
+    case "capacity":
+      return { value: host.capacity, listing_ids };
+    case "reviews":
+      return { value: host.reviews, listing_ids };
+    case "neighbourhoodShare": {
+      const shares = [...host.neighbourhoods.entries()]
+        .filter(
+          ([name]) =>
+            options.neighbourhood == null || name === options.neighbourhood,
+        )
+        .map(([name, ids]) => ({
+          neighbourhood: name,
+          value: ids.length / neighbourhoods.get(name),
+          listing_ids: ids,
+        }))
+        .sort(
+          (a, b) =>
+            b.value - a.value || a.neighbourhood.localeCompare(b.neighbourhood),
+        );
+      return shares[0] ?? null;
+    }
+    default:
+      throw new TypeError(`Unknown host ranking metric "${metric}"`);
+  }
+}
+
+/**
+ * Ranks hosts from accumulated totals. Ties are broken by number of listings
+ * (descending), then by host ID (ascending, numerically).
+ * @param {HostAccumulator} acc - Totals built with {@link accumulateHosts}.
+ * @param {HostRankingOptions} [options] - Ranking options.
+ * @returns {Array<HostRanking>} Ranked hosts.
+ * @throws {TypeError} If the metric is unknown.
+ * @throws {Error} If revenue is ranked over prices in more than one currency; the error
+ *   has code "MIXED_CURRENCIES".
+ */
+function rankHostTotals(acc, options = {}) {
+  const { metric = "listings", limit = 15, minListings = 1 } = options;
+  if (!HOST_METRICS.includes(metric)) {
+    throw new TypeError(`Unknown host ranking metric "${metric}"`);
+  }
+  if (metric === "revenue") {
+    assertSingleCurrency(acc.currencies);
+  }
+
+  return [...acc.hosts.values()]
+    .filter((host) => host.listing_ids.length >= minListings)
+    .map((host) => ({
+      host,
+      result: metricValue(host, metric, options, acc.neighbourhoods),
+    }))
+    .filter(({ result }) => result !== null)
+    .map(({ host, result }) => ({
+      host_id: host.host_id,
+      host_name: host.host_name,
+      host_is_superhost: host.host_is_superhost,
+      count: host.listing_ids.length,
+      metric,
+      ...result,
+    }))
+    .sort(
+      (a, b) =>
+        b.value - a.value ||
+        b.count - a.count ||
+        a.host_id.localeCompare(b.host_id, undefined, { numeric: true }),
+    )
+    .slice(0, limit);
+}
+
+/**
+ * Ranks the hosts of a list of listings.
+ * @param {Array<Object>} listings - Listings to rank the hosts of.
+ * @param {HostRankingOptions} [options] - Ranking options.
+ * @returns {Array<HostRanking>} Ranked hosts.
+ * @throws {TypeError} If the metric is unknown.
+ * @throws {Error} If revenue is ranked over prices in more than one currency.
+ */
+function rankHostListings(listings, options) {
+  return rankHostTotals(
+    listings.reduce(accumulateHosts, createHostAccumulator()),
+    options,
+  );
+}
+
+export {
+  HOST_METRICS,
+  bookedNights,
+  createHostAccumulator,
+  accumulateHosts,
+  rankHostTotals,
+  rankHostListings,
+};
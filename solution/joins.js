@@ -0,0 +1,343 @@
+import fs from "fs/promises";
+import { parse } from "csv-parse/sync";
+import { CSV_OPTIONS, streamCsvRecords } from "./csvStream.js";
+import {
+  parseAmount,
+  detectCurrency,
+  assertSingleCurrency,
+} from "./currency.js";
+/**
+ * @module joins
+ */
+
+/**
+ * One row of an InsideAirbnb reviews.csv file.
+ * @typedef {Object} Review
+ * @property {string} listing_id - ID of the reviewed listing.
+ * @property {string} date - Review date, YYYY-MM-DD.
+ */
+
+/**
+ * One row of an InsideAirbnb calendar.csv file.
+ * @typedef {Object} CalendarDay
+ * @property {string} listing_id - ID of the listing.
+ * @property {string} date - Night, YYYY-MM-DD.
+ * @property {boolean} available - Whether the night is open for booking.
+ * @property {number|null} price - Nightly price, if listed.
+ * @property {string|null} currency - ISO 4217 code of the price, if known.
+ */
+
+/**
+ * Options for reading calendar prices, as for loading listings.
+ * @typedef {Object} CalendarOptions
+ * @property {string} [locale] - Locale of the prices; by default the decimal separator
+ *   is guessed for each value.
+ * @property {string|null} [currency] - ISO 4217 code of prices without a code or symbol,
+ *   and of prices with a bare "$".
+ */
+
+/**
+ * Inclusive date range; either end may be left out.
+ * @typedef {Object} DateRange
+ * @property {string} [from] - First date, YYYY-MM-DD.
+ * @property {string} [to] - Last date, YYYY-MM-DD.
+ */
+
+/**
+ * Review activity of one listing.
+ * @typedef {Object} ReviewSummary
+ * @property {number} review_count - Number of reviews in the date range.
+ * @property {string|null} first_review_date - Date of the first review in the range.
+ * @property {string|null} last_review_date - Date of the last review in the range.
+ */
+
+/**
+ * Calendar activity of one listing.
+ * @typedef {Object} CalendarSummary
+ * @property {number} calendar_nights - Number of calendar nights in the date range.
+ * @property {number} calendar_booked_nights - Nights that are not available.
+ * @property {number|null} occupancy_rate - Booked nights / calendar nights.
+ * @property {number|null} calendar_avg_price - Average listed nightly price.
+ * @property {string|null} calendar_currency - Currency of calendar_avg_price, if known.
+ */
+
+/**
+ * Fields joined onto listings without any review in the range.
+ * @type {ReviewSummary}
+ */
+const EMPTY_REVIEW_SUMMARY = Object.freeze({
+  review_count: 0,
+  first_review_date: null,
+  last_review_date: null,
+});
+
+/**
+ * Fields joined onto listings without any calendar night in the range.
+ * @type {CalendarSummary}
+ */
+const EMPTY_CALENDAR_SUMMARY = Object.freeze({
+  calendar_nights: 0,
+  calendar_booked_nights: 0,
+  occupancy_rate: null,
+  calendar_avg_price: null,
+  calendar_currency: null,
+});
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Normalizes a raw reviews.csv record.
+ * @param {Object} record - Raw CSV record.
+ * @returns {Review} The review.
+ */
+function normalizeReview(record) {
+  return { ...record, listing_id: String(record.listing_id ?? "") };
+}
+
+/**
+ * Normalizes a raw calendar.csv record.
+ * @param {Object} record - Raw CSV record.
+ * @param {CalendarOptions} [options] - Locale and default currency of the prices.
+ * @returns {CalendarDay} The calendar night.
+ */
+function normalizeCalendarDay(record, { locale, currency = null } = {}) {
+  const price = record.price
+    ? parseAmount(record.price, { locale })
+    : undefined;
+  return {
+    ...record,
+    listing_id: String(record.listing_id ?? ""),
+    available: record.available === "t" || record.available === "true",
+    price: price ?? null,
+    currency:
+      price === undefined ? null : detectCurrency(record.price, currency),
+  };
+}
+
+/**
+ * Loads a reviews.csv file into memory.
+ * @async
+ * @param {string} filePath - Path to the CSV file.
+ * @returns {Promise<Array<Review>>} Resolves with the reviews.
+ */
+async function loadReviews(filePath) {
+  const data = await fs.readFile(filePath, "utf8");
+  return parse(data, CSV_OPTIONS).map(normalizeReview);
+}
+
+/**
+ * Loads a calendar.csv file into memory.
+ * @async
+ * @param {string} filePath - Path to the CSV file.
+ * @param {CalendarOptions} [options] - Locale and default currency of the prices.
+ * @returns {Promise<Array<CalendarDay>>} Resolves with the calendar nights.
+ */
+async function loadCalendar(filePath, options) {
+  const data = await fs.readFile(filePath, "utf8");
+  return parse(data, CSV_OPTIONS).map((record) =>
+    normalizeCalendarDay(record, options),
+  );
+}
+
+/**
+ * Streams a reviews.csv file one review at a time.
+ * @async
+ * @generator
+ * @param {string} filePath - Path to the CSV file.
+ * @param {Object} [options] - Progress options, as for `streamListings`.
+ * @yields {Review} The next review.
+ */
+async function* streamReviews(filePath, options) {
+  for await (const record of streamCsvRecords(filePath, options)) {
+    yield normalizeReview(record);
+  }
+}
+
+/**
+ * Streams a calendar.csv file one night at a time.
+ * @async
+ * @generator
+ * @param {string} filePath - Path to the CSV file.
+ * @param {CalendarOptions} [options] - Locale and default currency of the prices, and
+ *   progress options, as for `streamListings`.
+ * @yields {CalendarDay} The next calendar night.
+ */
+async function* streamCalendar(filePath, options) {
+  for await (const record of streamCsvRecords(filePath, options)) {
+    yield normalizeCalendarDay(record, options);
+  }
+}
+
+/**
+ * Creates a predicate for dates inside a range.
+ * @param {DateRange} [range] - Inclusive range.
+ * @returns {function(string): boolean} Predicate over YYYY-MM-DD dates.
+ * @throws {TypeError} If an end of the range is not a YYYY-MM-DD date.
+ */
+function createDateFilter({ from, to } = {}) {
+  [from, to].forEach((date) => {
+    if (date != null && !ISO_DATE.test(date)) {
+      throw new TypeError(`Dates must look like YYYY-MM-DD, got "${date}"`);
+    }
+  });
+  return (date) =>
+    ISO_DATE.test(date) &&
+    (from == null || date >= from) &&
+    (to == null || date <= to);
+}
+
+/**
+ * Summarizes review activity per listing.
+ * @async
+ * @param {Iterable<Review>|AsyncIterable<Review>} reviews - Reviews, e.g. from {@link streamReviews}.
+ * @param {DateRange} [range] - Only reviews in this range are counted.
+ * @returns {Promise<Object<string, ReviewSummary>>} Summaries keyed by listing ID.
+ */
+async function summarizeReviews(reviews, range) {
+  const inRange = createDateFilter(range);
+  const summary = {};
+  for await (const { listing_id, date } of reviews) {
+    if (!inRange(date)) {
+      continue;
+    }
+    const entry = (summary[listing_id] ??= { ...EMPTY_REVIEW_SUMMARY });
+    entry.review_count++;
+    if (entry.first_review_date == null || date < entry.first_review_date) {
+      entry.first_review_date = date;
+    }
+    if (entry.last_review_date == null || date > entry.last_review_date) {
+      entry.last_review_date = date;
+    }
+  }
+  return summary;
+}
+
+/**
+ * Summarizes calendar occupancy and nightly prices per listing. Nights
+ * without a currency take the only currency of the other nights, if there is
+ * one, as prices of listings do.
+ * @async
+ * @param {Iterable<CalendarDay>|AsyncIterable<CalendarDay>} days - Calendar nights, e.g. from {@link streamCalendar}.
+ * @param {DateRange} [range] - Only nights in this range are counted.
+ * @returns {Promise<Object<string, CalendarSummary>>} Summaries keyed by listing ID.
+ * @throws {Error} If the nights of a listing are priced in more than one currency; the
+ *   error has code "MIXED_CURRENCIES".
+ */
+async function summarizeCalendar(days, range) {
+  const inRange = createDateFilter(range);
+  const totals = {};
+  const known = new Set();
+  for await (const { listing_id, date, available, price, currency } of days) {
+    if (!inRange(date)) {
+      continue;
+    }
+    const entry = (totals[listing_id] ??= {
+      nights: 0,
+      booked: 0,
+      priceTotal: 0,
+      priced: 0,
+      currencies: new Set(),
+    });
+    entry.nights++;
+    entry.booked += available ? 0 : 1;
+    if (price != null) {
+      entry.priceTotal += price;
+      entry.priced++;
+      entry.currencies.add(currency ?? null);
+      if (currency) {
+        known.add(currency);
+      }
+    }
+  }
+  const fallback = known.size === 1 ? [...known][0] : null;
+
+  return Object.fromEntries(
+    Object.entries(totals).map(
+      ([id, { nights, booked, priceTotal, priced, currencies }]) => [
+        id,
+        {
+          calendar_nights: nights,
+          calendar_booked_nights: booked,
+          occupancy_rate: booked / nights,
+          calendar_avg_price: priced ? priceTotal / priced : null,
+          calendar_currency: assertSingleCurrency(
+            [...currencies].map((code) => code ?? fallback),
+          ),
+        },
+      ],
+    ),
+  );
+}
+
+/**
+ * Adds a listing's summary fields to it, matching the listing `id` to the
+ * summary key.
+ * @param {Object} listing - Listing to extend.
+ * @param {Object<string, Object>} summary - Summaries keyed by listing ID.
+ * @param {Object} empty - Fields used if the listing has no summary.
+ * @returns {Object} A new listing object with the summary fields.
+ */
+function joinListing(listing, summary, empty) {
+  return {
+    ...listing,
+    ...(Object.hasOwn(summary, listing.id) ? summary[listing.id] : empty),
+  };
+}
+
+/**
+ * Adds per-listing summary fields to listings; see {@link joinListing}.
+ * @param {Array<Object>} listings - Listings to extend.
+ * @param {Object<string, Object>} summary - Summaries keyed by listing ID.
+ * @param {Object} empty - Fields used for listings without a summary.
+ * @returns {Array<Object>} New listing objects with the summary fields.
+ */
+function joinSummary(listings, summary, empty) {
+  return listings.map((listing) => joinListing(listing, summary, empty));
+}
+
+/**
+ * Reads reviews and calendar files into per-listing summaries, one streaming
+ * pass per file. Files that are not given are left out of the result.
+ * @async
+ * @param {Object} files - Files to read.
+ * @param {string|null} [files.reviews] - reviews.csv path.
+ * @param {string|null} [files.calendar] - calendar.csv path.
+ * @param {DateRange} [files.range] - Dates of the reviews and nights to count.
+ * @param {string} [files.locale] - Locale of the calendar prices.
+ * @param {string|null} [files.currency] - Currency of calendar prices without a code or symbol.
+ * @returns {Promise<{reviews?: Object<string, ReviewSummary>, calendar?: Object<string, CalendarSummary>}>}
+ *   Summaries of the files that were given.
+ */
+async function loadJoinSummaries({
+  reviews,
+  calendar,
+  range,
+  locale,
+  currency,
+}) {
+  return {
+    ...(reviews && {
+      reviews: await summarizeReviews(streamReviews(reviews), range),
+    }),
+    ...(calendar && {
+      calendar: await summarizeCalendar(
+        streamCalendar(calendar, { locale, currency }),
+        range,
+      ),
+    }),
+  };
+}
+
+export {
+  EMPTY_REVIEW_SUMMARY,
+  EMPTY_CALENDAR_SUMMARY,
+  loadReviews,
+  loadCalendar,
+  streamReviews,
+  streamCalendar,
+  summarizeReviews,
+  summarizeCalendar,
+  loadJoinSummaries,
+  joinListing,
+  joinSummary,
+};
@@ -1,5 +1,15 @@
 import readline from "readline";
-import { loadListings, AirBnBDataHandler } from "./AirBnBDataHandler.js";
+import path from "path";
+import { Console } from "console";
+import { fileURLToPath } from "url";
+import {
+  loadListingsWithReport,
+  AirBnBDataHandler,
+} from "./AirBnBDataHandler.js";
+import { describeReport, hasIssues } from "./validation.js";
+import { DEFAULT_CONFIG_PATH, savePreset } from "./config.js";
+import { formatMoney } from "./currency.js";
+import { EXIT_CODES, USAGE, parseCliArgs, runCli } from "./cli.js";
 /**
  * @module main
  */
@@ -12,15 +22,70 @@ import { loadListings, AirBnBDataHandler } from "./AirBnBDataHandler.js";
 const ask = (rl, question) =>
   new Promise((resolve) => rl.question(`~> ${question} `, resolve));
 
+/**
+ * Offers to save the filter answers as a named preset of the config file, and
+ * asks before replacing a preset with the same name.
+ * @async
+ * @param {readline.Interface} rl - Readline interface instance.
+ * @param {Console} out - Console writing to the module's output streams.
+ * @param {string} configPath - Config file to save the preset to.
+ * @param {Object} criteria - Filter answers, null when skipped.
+ * @returns {Promise<void>} Resolves when the preset is saved or skipped.
+ */
+async function offerToSavePreset(rl, out, configPath, criteria) {
+  const name = (
+    await ask(
+      rl,
+      "Save these filters as a preset? Enter a name (or press enter to skip): ",
+    )
+  ).trim();
+  if (!name) {
+    return;
+  }
+  const preset = Object.fromEntries(
+    Object.entries(criteria).filter(([, value]) => value != null),
+  );
+  try {
+    await savePreset(configPath, name, preset);
+  } catch (error) {
+    if (error.code !== "EEXIST") {
+      out.error(`Saving the preset failed: ${error.message}`);
+      return;
+    }
+    const answer = await ask(
+      rl,
+      `Preset "${name}" exists. Replace it? (y/N): `,
+    );
+    if (answer.trim().toLowerCase() !== "y") {
+      return;
+    }
+    await savePreset(configPath, name, preset, { overwrite: true });
+  }
+  out.log(`Saved preset "${name}" to ${configPath}`);
+}
+
 /**
  * Initializes the main module for processing Airbnb listings.
+ * @param {Object} [options] - Module options.
+ * @param {NodeJS.ReadableStream} [options.input=process.stdin] - Stream the answers are read from.
+ * @param {NodeJS.WritableStream} [options.output=process.stdout] - Stream for prompts and results.
+ * @param {NodeJS.WritableStream} [options.errorOutput=process.stderr] - Stream for errors.
+ * @param {string} [options.configPath=DEFAULT_CONFIG_PATH] - Config file that presets are saved to.
+ * @param {string} [options.locale] - Locale used to read and display prices; by default
+ *   prices are read as written and shown in the system locale.
+ * @param {string} [options.currency] - Currency of prices without a symbol or code.
  * @returns {Function}  run: function(): Promise<void> - Object containing the `run` function.
  */
-function MainModule() {
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-  });
+function MainModule({
+  input = process.stdin,
+  output = process.stdout,
+  errorOutput = process.stderr,
+  configPath = DEFAULT_CONFIG_PATH,
+  locale,
+  currency,
+} = {}) {
+  const rl = readline.createInterface({ input, output });
+  const out = new Console({ stdout: output, stderr: errorOutput });
 
   /**
    * Executes the main workflow for filtering, analyzing, and exporting Airbnb listings.
@@ -31,16 +96,21 @@ function MainModule() {
     let filePath = await ask(rl, "Enter the CSV file path: ");
 
     while (!filePath.trim()) {
-      console.log("Invalid input. Please provide a valid CSV file path.");
+      out.log("Invalid input. Please provide a valid CSV file path.");
       filePath = await ask(rl, "Enter the CSV file path: ");
     }
 
-    console.log(`Loading data from ${filePath}...`);
+    out.log(`Loading data from ${filePath}...`);
 
     try {
       // Load Airbnb listings from user-provided CSV file
-      const listings = await loadListings(filePath);
-      const handler = AirBnBDataHandler(listings);
+      const { listings, report } = await loadListingsWithReport(filePath, {
+        locale,
+        currency,
+      });
+      if (hasIssues(report)) {
+        out.log(`Data check: ${describeReport(report)}`);
+      }
 
       // Prompt user for filtering criteria
       const minPrice =
@@ -64,42 +134,50 @@ function MainModule() {
           await ask(rl, "Enter min review score (or press enter to skip): "),
         ) || null;
 
+      const criteria = {
+        minPrice,
+        maxPrice,
+        minRooms,
+        maxRooms,
+        minReviewScore,
+      };
+      await offerToSavePreset(rl, out, configPath, criteria);
+
       // Apply filters and process data
-      handler
-        .filter({ minPrice, maxPrice, minRooms, maxRooms, minReviewScore })
+      const handler = AirBnBDataHandler(listings)
+        .filter(criteria)
         .computeStats()
         .rankHosts();
 
       // Retrieve filtered results
       const { filteredRecords, stats, topHosts } = handler.getData();
 
-      console.log(`Filtered Listings Count: ${filteredRecords.length}`);
+      out.log(`Filtered Listings Count: ${filteredRecords.length}`);
 
       // Display statistics
       if (stats.count > 0) {
-        console.log("\nStatistics Summary:\n");
-        console.log(`- Total Listings Considered: ${stats.total_count}`);
-        console.log(`- Valid Listings (price > 0): ${stats.count}`);
-        console.log(
-          `- Average Price per Room: $${stats.avgPricePerRoom.toFixed(2)}`,
-        );
-        console.log(
-          `- Average Price of All Valid Listings: $${stats.avgPriceValidListings.toFixed(2)}`,
+        out.log("\nStatistics Summary:\n");
+        out.log(`- Total Listings Considered: ${stats.total_count}`);
+        out.log(`- Valid Listings (price > 0): ${stats.count}`);
+        const money = (amount) => formatMoney(amount, stats.currency, locale);
+        out.log(`- Average Price per Room: ${money(stats.avgPricePerRoom)}`);
+        out.log(
+          `- Average Price of All Valid Listings: ${money(stats.avgPriceValidListings)}`,
         );
       } else {
-        console.log("\nNo valid listings found based on the applied filters.");
+        out.log("\nNo valid listings found based on the applied filters.");
       }
 
       // Display top hosts
       if (topHosts.length > 0) {
-        console.log("\nTop 15 Hosts by Number of Listings:");
+        out.log("\nTop 15 Hosts by Number of Listings:");
         topHosts.forEach((host, index) => {
-          console.log(
+          out.log(
             `${index + 1}. Host ID: ${host.host_id}, Listings: ${host.count}`,
           );
         });
       } else {
-        console.log("\nNo hosts found based on the applied filters.");
+        out.log("\nNo hosts found based on the applied filters.");
       }
 
       // Ask user if they want to export results
@@ -108,10 +186,21 @@ function MainModule() {
         "Enter the file path to export results (or press enter to skip): ",
       );
       if (exportPath) {
-        await handler.exportData(exportPath);
+        try {
+          await handler.exportData(exportPath);
+          out.log(`Results exported to ${exportPath}`);
+        } catch (error) {
+          out.error(`Export failed: ${error.message}`);
+        }
       }
     } catch (error) {
-      console.error("An error occurred:", error);
+      if (error.code === "MIXED_CURRENCIES") {
+        out.error(
+          `${error.message}. Use --interactive --currency <code> for prices without one, or the stats command with --rates and --to-currency.`,
+        );
+      } else {
+        out.error("An error occurred:", error);
+      }
     } finally {
       rl.close();
     }
@@ -120,6 +209,45 @@ function MainModule() {
   return { run };
 }
 
-// Initialize and run the module
-const mainModule = MainModule();
-mainModule.run();
+/**
+ * Entry point: runs the interactive prompts when called without arguments or
+ * with `--interactive`, and a CLI subcommand otherwise.
+ * @async
+ * @param {Array<string>} argv - Arguments, without the node and script paths.
+ * @returns {Promise<number>} The process exit code.
+ */
+async function main(argv) {
+  if (argv.length === 0) {
+    await MainModule().run();
+    return EXIT_CODES.OK;
+  }
+
+  let options;
+  try {
+    options = parseCliArgs(argv);
+  } catch (error) {
+    console.error(`Error: ${error.message}\n\n${USAGE}`);
+    return error.exitCode;
+  }
+
+  if (options.interactive) {
+    const { locale, currency } = options.validationOptions;
+    await MainModule({
+      configPath: options.configPath,
+      locale,
+      currency,
+    }).run();
+    return EXIT_CODES.OK;
+  }
+  return runCli(options);
+}
+
+// Run only when executed as a script, so tests can import the module.
+if (
+  process.argv[1] &&
+  path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)
+) {
+  process.exitCode = await main(process.argv.slice(2));
+}
+
+export { MainModule, main };
@@ -0,0 +1,277 @@
+import { VALUES, summarize } from "./statistics.js";
+import { listingsCurrency } from "./currency.js";
+/**
+ * @module pricing
+ */
+
+/**
+ * Options for detecting price outliers.
+ * @typedef {Object} OutlierOptions
+ * @property {string} [method="iqr"] - One of {@link OUTLIER_METHODS}.
+ * @property {number} [threshold] - Score above which a listing is an outlier; defaults to
+ *   {@link DEFAULT_OUTLIER_THRESHOLDS} of the method.
+ * @property {string} [value="price"] - "price" or "pricePerAccommodate".
+ * @property {string} [action="flag"] - "flag" adds price_outlier and price_outlier_score
+ *   to every listing; "exclude" removes the outliers.
+ */
+
+/**
+ * Result of an outlier detection.
+ * @typedef {Object} OutlierSummary
+ * @property {string} method - Method used.
+ * @property {string} value - Value tested.
+ * @property {string|null} currency - Currency of the prices, or null if unknown.
+ * @property {number} threshold - Score threshold.
+ * @property {number|null} lower - Values below this are outliers (null without valid listings).
+ * @property {number|null} upper - Values above this are outliers (null without valid listings).
+ * @property {number} tested - Number of listings tested (price > 0).
+ * @property {number} count - Number of outliers found.
+ */
+
+/**
+ * Options for estimating fair prices.
+ * @typedef {Object} FairPriceOptions
+ * @property {number} [minComparables=3] - Listings with fewer comparables get no estimate.
+ * @property {number} [tolerance=0.2] - Relative distance from the fair price still labelled "fair".
+ * @property {number} [accommodatesRange=1] - Largest difference in guests of a comparable.
+ */
+
+/**
+ * Outlier detection methods.
+ * - iqr: distance beyond the quartiles, in interquartile ranges (Tukey's fences).
+ * - zscore: distance from the mean, in standard deviations.
+ * - mad: modified z-score, distance from the median in median absolute deviations.
+ * @type {Array<string>}
+ */
+const OUTLIER_METHODS = ["iqr", "zscore", "mad"];
+
+/**
+ * Default score threshold of each outlier method.
+ * @type {Object<string, number>}
+ */
+const DEFAULT_OUTLIER_THRESHOLDS = { iqr: 1.5, zscore: 3, mad: 3.5 };
+
+/**
+ * Labels given by the fair-price estimate.
+ * @type {Array<string>}
+ */
+const PRICE_LABELS = ["underpriced", "fair", "overpriced"];
+
+/**
+ * Builds the scoring function of a method from the values it is tested on.
+ * Each scorer returns how far a value is from the bulk of the values, and the
+ * bounds outside which the score exceeds the threshold. When the values do not
+ * spread (e.g. most prices are equal), every score is 0.
+ * @type {Object<string, function(Array<number>, number): {score: function(number): number, lower: number, upper: number}>}
+ */
+const SCORERS = {
+  iqr: (values, threshold) => {
+    const { p25, p75 } = summarize(values);
+    const spread = p75 - p25;
+    return {
+      score: (value) => {
+        if (spread === 0) {
+          return 0;
+        }
+        const beyond = Math.max(p25 - value, value - p75, 0);
+        return beyond / spread;
+      },
+      lower: p25 - threshold * spread,
+      upper: p75 + threshold * spread,
+    };
+  },
+  zscore: (values, threshold) => {
+    const { mean, stdDev } = summarize(values);
+    return {
+      score: (value) => (stdDev ? Math.abs(value - mean) / stdDev : 0),
+      lower: mean - threshold * stdDev,
+      upper: mean + threshold * stdDev,
+    };
+  },
+  mad: (values, threshold) => {
+    const { median } = summarize(values);
+    // 0.6745 makes the MAD of normally distributed values match their stdDev.
+    const spread =
+      summarize(values.map((value) => Math.abs(value - median))).median /
+      0.6745;
+    return {
+      score: (value) => (spread ? Math.abs(value - median) / spread : 0),
+      lower: median - threshold * spread,
+      upper: median + threshold * spread,
+    };
+  },
+};
+
+/**
+ * Scores listings for price outliers. Only listings with a price above 0 are
+ * tested; the others get a null score and are never outliers.
+ * @param {Array<Object>} listings - Listings to test.
+ * @param {OutlierOptions} [options] - Method, threshold, and value.
+ * @returns {{summary: OutlierSummary, scores: Array<number|null>}} The summary, and the
+ *   score of each listing in input order.
+ * @throws {TypeError} If the method, value, or threshold is invalid.
+ * @throws {Error} If the prices are in more than one currency; the error has code
+ *   "MIXED_CURRENCIES".
+ */
+function scoreOutliers(
+  listings,
+  { method = "iqr", threshold, value = "price" } = {},
+) {
+  if (!OUTLIER_METHODS.includes(method)) {
+    throw new TypeError(`Unknown outlier method "${method}"`);
+  }
+  if (!(value in VALUES)) {
+    throw new TypeError(`Unknown outlier value "${value}"`);
+  }
+  const limit = threshold ?? DEFAULT_OUTLIER_THRESHOLDS[method];
+  if (!(limit > 0)) {
+    throw new TypeError("The outlier threshold must be a positive number");
+  }
+  const currency = listingsCurrency(listings);
+
+  const tested = listings.filter((listing) => listing.price > 0);
+  const values = tested.map(VALUES[value]);
+  const scorer = SCORERS[method](values, limit);
+  const scores = listings.map((listing) =>
+    listing.price > 0 ? scorer.score(VALUES[value](listing)) : null,
+  );
+  return {
+    summary: {
+      method,
+      value,
+      currency,
+      threshold: limit,
+      lower: values.length ? scorer.lower : null,
+      upper: values.length ? scorer.upper : null,
+      tested: tested.length,
+      count: scores.filter((score) => score > limit).length,
+    },
+    scores,
+  };
+}
+
+/**
+ * Computes the median of sorted values, optionally leaving out one value.
+ * @param {Array<number>} sorted - Values in ascending order.
+ * @param {number} [skip] - A value to leave out once, e.g. the listing's own price.
+ * @returns {{median: number|null, count: number}} The median and number of values used.
+ */
+function medianWithout(sorted, skip) {
+  let values = sorted;
+  if (skip !== undefined) {
+    const index = sorted.indexOf(skip);
+    if (index !== -1) {
+      values = [...sorted.slice(0, index), ...sorted.slice(index + 1)];
+    }
+  }
+  return { median: summarize(values).median, count: values.length };
+}
+
+/**
+ * Estimates a fair nightly price for each listing as the median price of its
+ * comparable listings: same room type and neighbourhood, and a similar number
+ * of guests. Listings flagged as price outliers and listings without a price
+ * are not used as comparables. Each listing gets fair_price, fair_price_comparables,
+ * price_vs_fair (relative difference), and price_label ("underpriced", "fair",
+ * "overpriced", or null without enough comparables or a price).
+ * @param {Array<Object>} listings - Listings to estimate, also the pool of comparables.
+ * @param {FairPriceOptions} [options] - Comparable and labelling options.
+ * @returns {Array<Object>} New listing objects with the estimate fields.
+ * @throws {TypeError} If an option is invalid.
+ * @throws {Error} If the prices are in more than one currency; the error has code
+ *   "MIXED_CURRENCIES".
+ */
+function estimateFairPrices(
+  listings,
+  { minComparables = 3, tolerance = 0.2, accommodatesRange = 1 } = {},
+) {
+  if (!(Number.isInteger(minComparables) && minComparables >= 1)) {
+    throw new TypeError("minComparables must be a positive integer");
+  }
+  if (!(tolerance >= 0)) {
+    throw new TypeError("The tolerance must be a non-negative number");
+  }
+  if (!(Number.isInteger(accommodatesRange) && accommodatesRange >= 0)) {
+    throw new TypeError("accommodatesRange must be a non-negative integer");
+  }
+  listingsCurrency(listings);
+
+  const usable = (listing) =>
+    listing.price > 0 && listing.price_outlier !== true;
+  const groupKey = (listing) =>
+    JSON.stringify([
+      String(listing.room_type ?? ""),
+      String(listing.neighbourhood_cleansed ?? ""),
+    ]);
+
+  // Prices of usable listings by group, then by number of guests.
+  const pools = new Map();
+  listings.filter(usable).forEach((listing) => {
+    const key = groupKey(listing);
+    if (!pools.has(key)) {
+      pools.set(key, new Map());
+    }
+    const byGuests = pools.get(key);
+    if (!byGuests.has(listing.accommodates)) {
+      byGuests.set(listing.accommodates, []);
+    }
+    byGuests.get(listing.accommodates).push(listing.price);
+  });
+
+  const comparablePrices = new Map();
+  const pricesNear = (listing) => {
+    const key = `${groupKey(listing)}|${listing.accommodates}`;
+    if (!comparablePrices.has(key)) {
+      const byGuests = pools.get(groupKey(listing)) ?? new Map();
+      const prices = [];
+      for (
+        let guests = listing.accommodates - accommodatesRange;
+        guests <= listing.accommodates + accommodatesRange;
+        guests++
+      ) {
+        prices.push(...(byGuests.get(guests) ?? []));
+      }
+      comparablePrices.set(
+        key,
+        prices.sort((a, b) => a - b),
+      );
+    }
+    return comparablePrices.get(key);
+  };
+
+  return listings.map((listing) => {
+    const { median, count } = medianWithout(
+      pricesNear(listing),
+      usable(listing) ? listing.price : undefined,
+    );
+    const fairPrice = count >= minComparables ? median : null;
+    const ratio =
+      fairPrice && listing.price > 0
+        ? (listing.price - fairPrice) / fairPrice
+        : null;
+    let label = null;
+    if (ratio !== null) {
+      label = "fair";
+      if (ratio < -tolerance) {
+        label = "underpriced";
+      } else if (ratio > tolerance) {
+        label = "overpriced";
+      }
+    }
+    return {
+      ...listing,
+      fair_price: fairPrice,
+      fair_price_comparables: count,
+      price_vs_fair: ratio,
+      price_label: label,
+    };
+  });
+}
+
+export {
+  OUTLIER_METHODS,
+  DEFAULT_OUTLIER_THRESHOLDS,
+  PRICE_LABELS,
+  scoreOutliers,
+  estimateFairPrices,
+};
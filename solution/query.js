@@ -0,0 +1,376 @@
+/**
+ * @module query
+ */
+
+/**
+ * A JSON filter criteria tree accepted by `handler.filter`.
+ *
+ * A node is either a group (`{ and: [...] }`, `{ or: [...] }`, `{ not: node }`)
+ * or a condition on a single column (`{ field, op, value }`).
+ * @typedef {Object} CriteriaNode
+ * @property {Array<CriteriaNode>} [and] - All child nodes must match.
+ * @property {Array<CriteriaNode>} [or] - At least one child node must match.
+ * @property {CriteriaNode} [not] - The child node must not match.
+ * @property {string} [field] - Listing column to test.
+ * @property {string} [op] - One of eq, ne, lt, lte, gt, gte, between, in, regex.
+ * @property {*} [value] - Operand; `[min, max]` for between, an array for in,
+ *   and a pattern string or `{ pattern, flags }` for regex.
+ */
+
+/**
+ * Comparison operators of the query syntax and the criteria ops they map to.
+ * @type {Object<string, string>}
+ */
+const COMPARISON_OPS = {
+  "=": "eq",
+  "==": "eq",
+  "!=": "ne",
+  "<": "lt",
+  "<=": "lte",
+  ">": "gt",
+  ">=": "gte",
+  "~": "regex",
+};
+
+/**
+ * Filter keys of the original five-criteria object and the conditions they map to.
+ * @type {Object<string, {field: string, op: string}>}
+ */
+const LEGACY_CRITERIA = {
+  minPrice: { field: "price", op: "gte" },
+  maxPrice: { field: "price", op: "lte" },
+  minRooms: { field: "accommodates", op: "gte" },
+  maxRooms: { field: "accommodates", op: "lte" },
+  minReviewScore: { field: "review_scores_rating", op: "gte" },
+};
+
+const TOKEN_PATTERN =
+  /\s*(?:(?<number>-?\d+(?:\.\d+)?(?![\w.]))|(?<string>"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(?<regex>\/(?:[^/\\]|\\.)+\/[a-z]*)|(?<op><=|>=|==|!=|[=<>~])|(?<punct>[(),])|(?<word>[A-Za-z_][\w.]*))/y;
+
+/**
+ * Splits a query string into tokens.
+ * @param {string} source - Query string.
+ * @returns {Array<{type: string, text: string, position: number}>} Tokens.
+ * @throws {SyntaxError} If the query contains an unexpected character.
+ */
+function tokenize(source) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (source.slice(TOKEN_PATTERN.lastIndex).trim()) {
+    const position = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(source);
+    if (!match) {
+      const offset = position + source.slice(position).search(/\S/);
+      throw new SyntaxError(
+        `Unexpected character "${source[offset]}" at position ${offset}`,
+      );
+    }
+    const [type, text] = Object.entries(match.groups).find(
+      ([, value]) => value != null,
+    );
+    tokens.push({ type, text, position: match.index + match[0].search(/\S/) });
+  }
+  return tokens;
+}
+
+/**
+ * Parses a query string such as
+ * `room_type = "Entire home/apt" and price < 200` into a criteria tree.
+ *
+ * Supported forms are `field <op> value` with =, ==, !=, <, <=, >, >=,
+ * `field ~ /pattern/flags`, `field in (a, b, ...)`,
+ * `field between min and max`, and grouping with `and`, `or`, `not` and
+ * parentheses. `and` binds tighter than `or`.
+ * @param {string} source - Query string.
+ * @returns {CriteriaNode} The equivalent criteria tree.
+ * @throws {SyntaxError} If the query is malformed.
+ */
+function parseQuery(source) {
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isKeyword = (token, keyword) =>
+    token?.type === "word" && token.text.toLowerCase() === keyword;
+  const fail = (message) => {
+    const token = peek();
+    throw new SyntaxError(
+      token
+        ? `${message} at position ${token.position}, found "${token.text}"`
+        : `${message} at end of query`,
+    );
+  };
+  const expect = (predicate, message) => {
+    if (!predicate(peek())) {
+      fail(message);
+    }
+    return tokens[index++];
+  };
+
+  function parseOr() {
+    const nodes = [parseAnd()];
+    while (isKeyword(peek(), "or")) {
+      index++;
+      nodes.push(parseAnd());
+    }
+    return nodes.length === 1 ? nodes[0] : { or: nodes };
+  }
+
+  function parseAnd() {
+    const nodes = [parseNot()];
+    while (isKeyword(peek(), "and")) {
+      index++;
+      nodes.push(parseNot());
+    }
+    return nodes.length === 1 ? nodes[0] : { and: nodes };
+  }
+
+  function parseNot() {
+    if (isKeyword(peek(), "not")) {
+      index++;
+      return { not: parseNot() };
+    }
+    if (peek()?.text === "(") {
+      index++;
+      const node = parseOr();
+      expect((token) => token?.text === ")", "Expected a closing parenthesis");
+      return node;
+    }
+    return parseCondition();
+  }
+
+  function parseCondition() {
+    const field = expect(
+      (token) =>
+        token?.type === "word" &&
+        !["and", "or", "not", "in", "between"].includes(
+          token.text.toLowerCase(),
+        ),
+      "Expected a field name",
+    ).text;
+
+    if (isKeyword(peek(), "in")) {
+      index++;
+      expect(
+        (token) => token?.text === "(",
+        "Expected an opening parenthesis after in",
+      );
+      const values = [parseValue()];
+      while (peek()?.text === ",") {
+        index++;
+        values.push(parseValue());
+      }
+      expect((token) => token?.text === ")", "Expected a closing parenthesis");
+      return { field, op: "in", value: values };
+    }
+
+    if (isKeyword(peek(), "between")) {
+      index++;
+      const min = parseValue();
+      expect((token) => isKeyword(token, "and"), "Expected and");
+      return { field, op: "between", value: [min, parseValue()] };
+    }
+
+    const op =
+      COMPARISON_OPS[
+        expect((token) => token?.type === "op", "Expected an operator").text
+      ];
+    if (op === "regex") {
+      const token = expect(
+        (token) => token?.type === "regex" || token?.type === "string",
+        "Expected a /regex/ or string pattern",
+      );
+      if (token.type === "string") {
+        return { field, op, value: unquote(token.text) };
+      }
+      const end = token.text.lastIndexOf("/");
+      return {
+        field,
+        op,
+        value: {
+          pattern: token.text.slice(1, end),
+          flags: token.text.slice(end + 1),
+        },
+      };
+    }
+    return { field, op, value: parseValue() };
+  }
+
+  function parseValue() {
+    const token = expect(
+      (token) => ["number", "string", "word"].includes(token?.type),
+      "Expected a value",
+    );
+    if (token.type === "number") {
+      return Number(token.text);
+    }
+    if (token.type === "string") {
+      return unquote(token.text);
+    }
+    const keywords = { true: true, false: false, null: null };
+    const word = token.text.toLowerCase();
+    return word in keywords ? keywords[word] : token.text;
+  }
+
+  if (tokens.length === 0) {
+    throw new SyntaxError("Empty query");
+  }
+  const node = parseOr();
+  if (index < tokens.length) {
+    fail("Unexpected token");
+  }
+  return node;
+}
+
+/**
+ * Removes the quotes and escapes from a quoted string token.
+ * @param {string} text - Quoted string, including its quotes.
+ * @returns {string} The string value.
+ */
+function unquote(text) {
+  return text.slice(1, -1).replace(/\\(.)/g, "$1");
+}
+
+/**
+ * Checks whether an object is a criteria tree rather than the original
+ * five-criteria object.
+ * @param {Object} criteria - Criteria object.
+ * @returns {boolean} True for criteria trees.
+ */
+function isCriteriaNode(criteria) {
+  return ["and", "or", "not", "field"].some((key) => key in criteria);
+}
+
+/**
+ * Converts the original five-criteria object into a criteria tree. Keys with a
+ * null or undefined value are ignored.
+ * @param {Object} criteria - Object with minPrice, maxPrice, minRooms, maxRooms and minReviewScore.
+ * @returns {CriteriaNode} The equivalent criteria tree.
+ */
+function fromLegacyCriteria(criteria) {
+  return {
+    and: Object.entries(LEGACY_CRITERIA)
+      .filter(([key]) => criteria[key] != null)
+      .map(([key, condition]) => ({ ...condition, value: criteria[key] })),
+  };
+}
+
+/**
+ * Coerces a listing value to the type of the value it is compared against, so
+ * that CSV strings such as "365" or "t" compare as numbers and booleans.
+ * @param {*} actual - Value from the listing.
+ * @param {*} expected - Value from the criteria.
+ * @returns {*} The coerced listing value, or undefined if it cannot be coerced.
+ */
+function coerce(actual, expected) {
+  if (actual == null || actual === "") {
+    return expected === null ? null : undefined;
+  }
+  if (typeof expected === "number") {
+    const number = typeof actual === "number" ? actual : Number(actual);
+    return Number.isNaN(number) ? undefined : number;
+  }
+  if (typeof expected === "boolean") {
+    const text = String(actual).toLowerCase();
+    if (["t", "true", "1", "yes"].includes(text)) {
+      return true;
+    }
+    return ["f", "false", "0", "no"].includes(text) ? false : undefined;
+  }
+  return String(actual);
+}
+
+/**
+ * Builds a predicate for a single-column condition.
+ * @param {CriteriaNode} node - Condition node with field, op and value.
+ * @returns {function(Object): boolean} Predicate over listings.
+ * @throws {TypeError} If the operator or its value is invalid.
+ */
+function compileCondition({ field, op, value }) {
+  const get = (listing) => listing[field];
+  const compare = (test) => (listing) => {
+    const actual = coerce(get(listing), value);
+    return actual !== undefined && test(actual);
+  };
+
+  switch (op) {
+    case "eq":
+      return compare((actual) => actual === value);
+    case "ne":
+      return (listing) => coerce(get(listing), value) !== value;
+    case "lt":
+      return compare((actual) => actual < value);
+    case "lte":
+      return compare((actual) => actual <= value);
+    case "gt":
+      return compare((actual) => actual > value);
+    case "gte":
+      return compare((actual) => actual >= value);
+    case "between": {
+      if (!Array.isArray(value) || value.length !== 2) {
+        throw new TypeError(`"between" on ${field} needs a [min, max] value`);
+      }
+      const [min, max] = value;
+      return (listing) => {
+        const actual = coerce(get(listing), min);
+        return actual !== undefined && actual >= min && actual <= max;
+      };
+    }
+    case "in": {
+      if (!Array.isArray(value)) {
+        throw new TypeError(`"in" on ${field} needs an array value`);
+      }
+      return (listing) =>
+        value.some((option) => coerce(get(listing), option) === option);
+    }
+    case "regex": {
+      // One RegExp tests every listing, so the stateful g and y flags would
+      // carry lastIndex from one listing to the next and skip matches.
+      const regex =
+        typeof value === "string"
+          ? new RegExp(value)
+          : new RegExp(value.pattern, value.flags?.replace(/[gy]/g, ""));
+      return (listing) => get(listing) != null && regex.test(get(listing));
+    }
+    default:
+      throw new TypeError(`Unknown operator "${op}" on ${field}`);
+  }
+}
+
+/**
+ * Compiles a criteria tree into a predicate over listings.
+ * @param {CriteriaNode} node - Criteria tree.
+ * @returns {function(Object): boolean} Predicate over listings.
+ * @throws {TypeError} If the tree is malformed.
+ */
+function compileCriteria(node) {
+  if (node == null || typeof node !== "object") {
+    throw new TypeError("Criteria must be an object");
+  }
+  if (Array.isArray(node.and)) {
+    const predicates = node.and.map(compileCriteria);
+    return (listing) => predicates.every((predicate) => predicate(listing));
+  }
+  if (Array.isArray(node.or)) {
+    const predicates = node.or.map(compileCriteria);
+    return (listing) => predicates.some((predicate) => predicate(listing));
+  }
+  if ("not" in node) {
+    const predicate = compileCriteria(node.not);
+    return (listing) => !predicate(listing);
+  }
+  if (typeof node.field === "string") {
+    return compileCondition(node);
+  }
+  throw new TypeError(
+    "Criteria nodes need one of: and, or, not, or field/op/value",
+  );
+}
+
+export {
+  LEGACY_CRITERIA,
+  parseQuery,
+  compileCriteria,
+  isCriteriaNode,
+  fromLegacyCriteria,
+};
@@ -0,0 +1,579 @@
+import http from "http";
+import { loadListings, AirBnBDataHandler } from "./AirBnBDataHandler.js";
+import {
+  LEGACY_CRITERIA,
+  parseQuery,
+  isCriteriaNode,
+  fromLegacyCriteria,
+} from "./query.js";
+import { HOST_METRICS } from "./hostRanking.js";
+import { EXPORT_FORMATS } from "./exporters.js";
+import { GRID_SHAPES } from "./geo.js";
+/**
+ * @module server
+ */
+
+/**
+ * Content types of the export formats.
+ * @type {Object<string, string>}
+ */
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  json: "application/json; charset=utf-8",
+  ndjson: "application/x-ndjson; charset=utf-8",
+  markdown: "text/markdown; charset=utf-8",
+  html: "text/html; charset=utf-8",
+  geojson: "application/geo+json; charset=utf-8",
+};
+
+/**
+ * File extensions used for the download name of each export format.
+ * @type {Object<string, string>}
+ */
+const FILE_EXTENSIONS = {
+  csv: "csv",
+  json: "json",
+  ndjson: "ndjson",
+  markdown: "md",
+  html: "html",
+  geojson: "geojson",
+};
+
+/**
+ * Datasets the export endpoint can stream.
+ * @type {Array<string>}
+ */
+const EXPORT_DATA = ["records", "stats", "topHosts", "groups", "pivot", "grid"];
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * A parsed API request. GET requests take their parameters from the query
+ * string, POST requests from a JSON body.
+ * @typedef {Object} ApiRequest
+ * @property {Object} criteria - Criteria tree accepted by `handler.filter`.
+ * @property {function(string): *} param - Returns a parameter, or undefined if it is not set.
+ */
+
+/**
+ * Creates an error that is answered with an HTTP status code.
+ * @param {number} status - 4xx status code.
+ * @param {string} message - Description of the problem, sent to the client.
+ * @returns {Error} Error carrying the status code.
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Sends a JSON response.
+ * @param {http.ServerResponse} res - Response to write.
+ * @param {number} status - Status code.
+ * @param {*} body - Value to send as JSON.
+ * @returns {void}
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": CONTENT_TYPES.json });
+  res.end(`${JSON.stringify(body)}\n`);
+}
+
+/**
+ * Reads and parses a JSON request body.
+ * @async
+ * @param {http.IncomingMessage} req - Request to read.
+ * @returns {Promise<Object>} The parsed body; {} if the body is empty.
+ * @throws {Error} A 415, 413, or 400 error if the body is not a JSON object.
+ */
+async function readJsonBody(req) {
+  const type = req.headers["content-type"] ?? "";
+  if (!type.startsWith("application/json")) {
+    throw httpError(415, "Request bodies must be application/json.");
+  }
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw httpError(
+        413,
+        `Request bodies are limited to ${MAX_BODY_BYTES} bytes.`,
+      );
+    }
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString("utf8");
+  if (!text.trim()) {
+    return {};
+  }
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    throw httpError(400, `Invalid JSON body: ${error.message}`);
+  }
+  if (body === null || typeof body !== "object" || Array.isArray(body)) {
+    throw httpError(400, "The JSON body must be an object.");
+  }
+  return body;
+}
+
+/**
+ * Parses a query string as filter criteria.
+ * @param {string} query - Query string, see {@link module:query.parseQuery}.
+ * @returns {Object} The criteria tree.
+ * @throws {Error} A 400 error if the query is malformed.
+ */
+function parseWhere(query) {
+  try {
+    return parseQuery(query);
+  } catch (error) {
+    throw httpError(400, `Invalid query: ${error.message}`);
+  }
+}
+
+/**
+ * Builds criteria from query string parameters: the original filter keys
+ * (minPrice, maxPrice, minRooms, maxRooms, minReviewScore) and `where`.
+ * @param {URLSearchParams} params - Query string parameters.
+ * @returns {Object} Criteria tree accepted by `handler.filter`.
+ * @throws {Error} A 400 error if a filter value is not a number or the query is malformed.
+ */
+function criteriaFromQuery(params) {
+  const legacy = Object.fromEntries(
+    Object.keys(LEGACY_CRITERIA)
+      .filter((key) => params.has(key))
+      .map((key) => {
+        const value = Number(params.get(key));
+        if (params.get(key).trim() === "" || !Number.isFinite(value)) {
+          throw httpError(400, `${key} must be a number.`);
+        }
+        return [key, value];
+      }),
+  );
+  const criteria = fromLegacyCriteria(legacy);
+  return params.has("where")
+    ? { and: [criteria, parseWhere(params.get("where"))] }
+    : criteria;
+}
+
+/**
+ * Builds criteria from the `criteria` field of a JSON body, which may hold
+ * anything `createFilterFunction` accepts.
+ * @param {*} criteria - Query string, criteria tree, or original criteria object.
+ * @returns {Object} Criteria tree accepted by `handler.filter`.
+ * @throws {Error} A 400 error if the criteria are malformed.
+ */
+function criteriaFromBody(criteria) {
+  if (criteria == null) {
+    return { and: [] };
+  }
+  if (typeof criteria === "string") {
+    return parseWhere(criteria);
+  }
+  if (typeof criteria !== "object" || Array.isArray(criteria)) {
+    throw httpError(400, "criteria must be a query string or an object.");
+  }
+  if (isCriteriaNode(criteria)) {
+    return criteria;
+  }
+  Object.entries(criteria).forEach(([key, value]) => {
+    if (!(key in LEGACY_CRITERIA)) {
+      throw httpError(400, `Unknown criteria key: ${key}`);
+    }
+    if (value != null && !Number.isFinite(value)) {
+      throw httpError(400, `${key} must be a number.`);
+    }
+  });
+  return fromLegacyCriteria(criteria);
+}
+
+/**
+ * Parses the criteria and parameters of a request.
+ * @async
+ * @param {http.IncomingMessage} req - Request to read.
+ * @param {URL} url - Parsed request URL.
+ * @returns {Promise<ApiRequest>} The parsed request.
+ * @throws {Error} A 4xx error if the body or the criteria are invalid.
+ */
+async function readRequest(req, url) {
+  if (req.method === "GET") {
+    return {
+      criteria: criteriaFromQuery(url.searchParams),
+      param: (name) => url.searchParams.get(name) ?? undefined,
+    };
+  }
+  const body = await readJsonBody(req);
+  return {
+    criteria: criteriaFromBody(body.criteria),
+    param: (name) => body[name] ?? undefined,
+  };
+}
+
+/**
+ * Reads an integer parameter.
+ * @param {ApiRequest} request - Parsed request.
+ * @param {string} name - Parameter name.
+ * @param {Object} limits - Default and allowed range.
+ * @param {number} limits.fallback - Value used if the parameter is not set.
+ * @param {number} [limits.min=1] - Smallest allowed value.
+ * @param {number} [limits.max=Infinity] - Largest allowed value.
+ * @returns {number} The integer.
+ * @throws {Error} A 400 error if the value is not an integer in range.
+ */
+function integerParam(request, name, { fallback, min = 1, max = Infinity }) {
+  const raw = request.param(name);
+  if (raw === undefined) {
+    return fallback;
+  }
+  const number = Number(raw);
+  if (String(raw).trim() === "" || !Number.isInteger(number)) {
+    throw httpError(400, `${name} must be an integer.`);
+  }
+  if (number < min || number > max) {
+    throw httpError(400, `${name} must be between ${min} and ${max}.`);
+  }
+  return number;
+}
+
+/**
+ * Reads a string parameter that must be one of a set of values.
+ * @param {ApiRequest} request - Parsed request.
+ * @param {string} name - Parameter name.
+ * @param {Array<string>} allowed - Allowed values.
+ * @param {string} [fallback] - Value used if the parameter is not set.
+ * @returns {string|undefined} The value.
+ * @throws {Error} A 400 error if the value is not allowed.
+ */
+function choiceParam(request, name, allowed, fallback) {
+  const value = request.param(name) ?? fallback;
+  if (value !== undefined && !allowed.includes(value)) {
+    throw httpError(400, `${name} must be one of: ${allowed.join(", ")}.`);
+  }
+  return value;
+}
+
+/**
+ * Reads a list parameter, given as an array or a comma-separated string.
+ * @param {ApiRequest} request - Parsed request.
+ * @param {string} name - Parameter name.
+ * @returns {Array<string>|undefined} The items, or undefined if the parameter is not set.
+ * @throws {Error} A 400 error if the value is neither an array of strings nor a string.
+ */
+function listParam(request, name) {
+  const value = request.param(name);
+  if (value === undefined) {
+    return undefined;
+  }
+  const items = Array.isArray(value) ? value : String(value).split(",");
+  if (items.some((item) => typeof item !== "string")) {
+    throw httpError(400, `${name} must be a list of strings.`);
+  }
+  return items.map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * Filters the listings of a handler, answering malformed criteria with a 400.
+ * @param {AirBnBDataHandlerObject} handler - Handler over all listings.
+ * @param {Object} criteria - Criteria tree.
+ * @returns {AirBnBDataHandlerObject} The filtered snapshot.
+ * @throws {Error} A 400 error if the criteria cannot be compiled.
+ */
+function filterListings(handler, criteria) {
+  try {
+    return handler.filter(criteria);
+  } catch (error) {
+    throw httpError(400, `Invalid criteria: ${error.message}`);
+  }
+}
+
+/**
+ * Runs an operation that summarizes prices, answering listings priced in
+ * several currencies with a 422.
+ * @param {function(): AirBnBDataHandlerObject} summarize - Operation to run.
+ * @returns {AirBnBDataHandlerObject} The snapshot it returns.
+ * @throws {Error} A 422 error if the prices cannot be summarized together.
+ */
+function summarizePrices(summarize) {
+  try {
+    return summarize();
+  } catch (error) {
+    if (error.code === "MIXED_CURRENCIES") {
+      throw httpError(422, error.message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Compares two listing values for sorting; missing values sort last.
+ * @param {*} a - First value.
+ * @param {*} b - Second value.
+ * @returns {number} Negative, zero, or positive, as for `Array.prototype.sort`.
+ */
+function compareValues(a, b) {
+  if (a == null || b == null) {
+    return (a == null) - (b == null);
+  }
+  if (typeof a === "number" && typeof b === "number") {
+    return a - b;
+  }
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+/**
+ * Reads the host ranking parameters of a request.
+ * @param {ApiRequest} request - Parsed request.
+ * @returns {HostRankingOptions} Metric, limit, minimum listings, and neighbourhood.
+ * @throws {Error} A 400 error if a parameter is invalid.
+ */
+function hostOptions(request) {
+  const neighbourhood = request.param("neighbourhood");
+  return {
+    metric: choiceParam(request, "metric", HOST_METRICS, "listings"),
+    limit: integerParam(request, "limit", { fallback: 15 }),
+    minListings: integerParam(request, "minListings", { fallback: 1 }),
+    ...(neighbourhood !== undefined && {
+      neighbourhood: String(neighbourhood),
+    }),
+  };
+}
+
+/**
+ * Reads the grid parameters of a request.
+ * @param {ApiRequest} request - Parsed request.
+ * @returns {GridOptions} Cell size in kilometres and shape.
+ * @throws {Error} A 400 error if a parameter is invalid.
+ */
+function gridOptions(request) {
+  const cellSize = request.param("cellSize") ?? 1;
+  const cellSizeKm = Number(cellSize);
+  if (String(cellSize).trim() === "" || !(cellSizeKm > 0)) {
+    throw httpError(400, "cellSize must be a positive number.");
+  }
+  return {
+    cellSizeKm,
+    shape: choiceParam(request, "shape", GRID_SHAPES, "square"),
+  };
+}
+
+/**
+ * API endpoints keyed by path. Each endpoint returns a value sent as JSON, or
+ * undefined if it wrote the response itself.
+ * @type {Object<string, {methods: Array<string>, handle: Function}>}
+ */
+const ROUTES = {
+  "/health": {
+    methods: ["GET"],
+    handle: (handler) => ({
+      status: "ok",
+      listings: handler.getData().filteredRecords.length,
+    }),
+  },
+
+  "/listings": {
+    methods: ["GET", "POST"],
+    handle: (handler, request) => {
+      const page = integerParam(request, "page", { fallback: 1 });
+      const pageSize = integerParam(request, "pageSize", {
+        fallback: DEFAULT_PAGE_SIZE,
+        max: MAX_PAGE_SIZE,
+      });
+      const sort = request.param("sort");
+      const order = choiceParam(request, "order", ["asc", "desc"], "asc");
+
+      const { filteredRecords } = filterListings(
+        handler,
+        request.criteria,
+      ).getData();
+      const direction = order === "desc" ? -1 : 1;
+      const sorted = [...filteredRecords];
+      if (sort !== undefined) {
+        sorted.sort((a, b) => compareValues(a[sort], b[sort]) * direction);
+      }
+      return {
+        page,
+        pageSize,
+        total: sorted.length,
+        totalPages: Math.ceil(sorted.length / pageSize),
+        items: sorted.slice((page - 1) * pageSize, page * pageSize),
+      };
+    },
+  },
+
+  "/stats": {
+    methods: ["GET", "POST"],
+    handle: (handler, request) =>
+      summarizePrices(() =>
+        filterListings(handler, request.criteria).computeStats(),
+      ).getData().stats,
+  },
+
+  "/hosts": {
+    methods: ["GET", "POST"],
+    handle: (handler, request) =>
+      summarizePrices(() =>
+        filterListings(handler, request.criteria).rankHosts(
+          hostOptions(request),
+        ),
+      ).getData().topHosts,
+  },
+
+  "/export": {
+    methods: ["GET", "POST"],
+    handle: async (handler, request, res) => {
+      const data = choiceParam(request, "data", EXPORT_DATA, "records");
+      const format = choiceParam(request, "format", EXPORT_FORMATS, "csv");
+      const columns = listParam(request, "columns");
+      const by = listParam(request, "by") ?? [];
+      if (data === "groups" && by.length === 0) {
+        throw httpError(400, "Exporting groups requires by=<field,...>.");
+      }
+      if (data === "pivot" && by.length !== 2) {
+        throw httpError(400, "Exporting a pivot requires by=<row>,<column>.");
+      }
+
+      const grid = data === "grid" ? gridOptions(request) : null;
+      const snapshot = summarizePrices(() => {
+        let summarized = filterListings(handler, request.criteria).rankHosts(
+          hostOptions(request),
+        );
+        if (data === "stats") {
+          summarized = summarized.computeStats();
+        }
+        if (data === "groups") {
+          summarized = summarized.groupBy(...by);
+        }
+        if (data === "pivot") {
+          summarized = summarized.pivot(...by);
+        }
+        if (grid) {
+          summarized = summarized.aggregateGrid(grid);
+        }
+        return summarized;
+      });
+
+      res.setHeader("Content-Type", CONTENT_TYPES[format]);
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${data}.${FILE_EXTENSIONS[format]}"`,
+      );
+      try {
+        await snapshot.exportData(res, { data, format, columns });
+      } catch (error) {
+        if (res.headersSent) {
+          throw error;
+        }
+        res.removeHeader("Content-Disposition");
+        if (error.code === "EMPTY_EXPORT") {
+          throw httpError(404, error.message);
+        }
+        throw error;
+      }
+      return undefined;
+    },
+  },
+};
+
+/**
+ * Creates an HTTP server answering API requests over a set of listings.
+ *
+ * Endpoints (GET with query parameters, or POST with a JSON body; see the README):
+ * - `/health` - Status and number of listings.
+ * - `/listings` - Paginated, optionally sorted matching listings.
+ * - `/stats` - Statistics of the matching listings.
+ * - `/hosts` - Host ranking of the matching listings.
+ * - `/export` - Matching listings (or another dataset) streamed in an export format.
+ * @param {Array<Listing>} listings - Listings to serve.
+ * @param {Object} [options] - Server options.
+ * @param {function(Error): void} [options.onError] - Called with unexpected errors,
+ *   which are answered with a 500; writes them to stderr by default.
+ * @returns {http.Server} The server, not yet listening.
+ */
+function createServer(listings, { onError = console.error } = {}) {
+  const handler = AirBnBDataHandler(listings);
+
+  return http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, "http://localhost");
+      const route = Object.hasOwn(ROUTES, url.pathname)
+        ? ROUTES[url.pathname]
+        : null;
+      if (!route) {
+        throw httpError(404, `Not found: ${url.pathname}`);
+      }
+      if (!route.methods.includes(req.method)) {
+        res.setHeader("Allow", route.methods.join(", "));
+        throw httpError(405, `Method ${req.method} not allowed.`);
+      }
+      const result = await route.handle(
+        handler,
+        await readRequest(req, url),
+        res,
+      );
+      if (result !== undefined) {
+        sendJson(res, 200, result);
+      }
+    } catch (error) {
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+      if (!error.status) {
+        onError(error);
+      }
+      const status = error.status ?? 500;
+      sendJson(res, status, {
+        error: {
+          status,
+          message: error.status ? error.message : "Internal server error",
+        },
+      });
+    }
+  });
+}
+
+/**
+ * Loads a listings CSV once and starts serving it.
+ * @async
+ * @param {string} filePath - Path to the listings CSV file.
+ * @param {Object} [options] - Server options.
+ * @param {number} [options.port=3000] - Port to listen on; 0 picks a free port.
+ * @param {string} [options.host="127.0.0.1"] - Address to listen on.
+ * @param {ValidationOptions} [options.validationOptions] - Options for loading the file.
+ * @param {{rates: RatesTable, currency: string}} [options.conversion] - Converts all prices
+ *   to one currency once the file is loaded.
+ * @param {function(Error): void} [options.onError] - See {@link createServer}.
+ * @returns {Promise<http.Server>} Resolves with the listening server.
+ */
+async function startServer(
+  filePath,
+  {
+    port = 3000,
+    host = "127.0.0.1",
+    validationOptions,
+    conversion,
+    onError,
+  } = {},
+) {
+  let listings = await loadListings(filePath, validationOptions);
+  if (conversion) {
+    ({ filteredRecords: listings } = AirBnBDataHandler(listings)
+      .convertCurrency(conversion.rates, conversion.currency)
+      .getData());
+  }
+  const server = createServer(listings, { onError });
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.off("error", reject);
+      resolve();
+    });
+  });
+  return server;
+}
+
+export { createServer, startServer };
@@ -0,0 +1,279 @@
+import { listingsCurrency } from "./currency.js";
+/**
+ * @module statistics
+ */
+
+/**
+ * Descriptive statistics for a list of numbers.
+ * @typedef {Object} Summary
+ * @property {number} count - Number of values.
+ * @property {number|null} mean - Arithmetic mean.
+ * @property {number|null} median - Median (same as p50).
+ * @property {number|null} min - Smallest value.
+ * @property {number|null} max - Largest value.
+ * @property {number|null} stdDev - Population standard deviation.
+ * @property {number|null} p25 - 25th percentile.
+ * @property {number|null} p75 - 75th percentile.
+ * @property {number|null} p90 - 90th percentile.
+ */
+
+/**
+ * Statistics for one group of listings.
+ * @typedef {Object} GroupStatistics
+ * @property {Object<string, string>} key - Value of each grouping field.
+ * @property {number} count - Number of listings in the group.
+ * @property {string|null} currency - Currency of the prices, or null if unknown.
+ * @property {Summary} price - Summary of prices over valid listings (price > 0).
+ * @property {Summary} pricePerAccommodate - Summary of price / accommodates over valid listings.
+ */
+
+/**
+ * A two-dimensional table of one statistic.
+ * @typedef {Object} Pivot
+ * @property {string} rowField - Field whose values label the rows.
+ * @property {string} columnField - Field whose values label the columns.
+ * @property {string} value - Summarized value, "price" or "pricePerAccommodate".
+ * @property {string} statistic - Summary statistic shown in each cell.
+ * @property {string|null} currency - Currency of the prices, or null if unknown.
+ * @property {Array<string>} rows - Row labels, sorted.
+ * @property {Array<string>} columns - Column labels, sorted.
+ * @property {Object<string, Object<string, number|null>>} cells - Cell values by row, then column.
+ */
+
+/**
+ * Percentiles reported in every {@link Summary}.
+ * @type {Object<string, number>}
+ */
+const PERCENTILES = { p25: 25, p75: 75, p90: 90 };
+
+/**
+ * Values that can be summarized for a listing. A listing without a positive
+ * number of guests counts as one guest, like the schema default, so the price
+ * per accommodate is never a division by zero.
+ * @type {Object<string, function(Object): number>}
+ */
+const VALUES = {
+  price: (listing) => listing.price,
+  pricePerAccommodate: (listing) =>
+    listing.price / (listing.accommodates >= 1 ? listing.accommodates : 1),
+};
+
+/**
+ * Computes a percentile of sorted values using linear interpolation.
+ * @param {Array<number>} sorted - Values sorted in ascending order.
+ * @param {number} percent - Percentile between 0 and 100.
+ * @returns {number|null} The percentile, or null for no values.
+ */
+function percentile(sorted, percent) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  const rank = (percent / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Computes descriptive statistics for a list of numbers.
+ * @param {Array<number>} values - Values to summarize.
+ * @returns {Summary} The summary; every statistic but count is null for no values.
+ */
+function summarize(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const count = sorted.length;
+  const mean = count
+    ? sorted.reduce((acc, value) => acc + value, 0) / count
+    : null;
+  const variance = count
+    ? sorted.reduce((acc, value) => acc + (value - mean) ** 2, 0) / count
+    : null;
+
+  return {
+    count,
+    mean,
+    median: percentile(sorted, 50),
+    min: count ? sorted[0] : null,
+    max: count ? sorted[count - 1] : null,
+    stdDev: count ? Math.sqrt(variance) : null,
+    ...Object.fromEntries(
+      Object.entries(PERCENTILES).map(([name, percent]) => [
+        name,
+        percentile(sorted, percent),
+      ]),
+    ),
+  };
+}
+
+/**
+ * Returns the group label of a listing field.
+ * @param {Object} listing - Listing to read.
+ * @param {string} field - Field name.
+ * @returns {string} The field value as a string.
+ */
+function groupLabel(listing, field) {
+  return String(listing[field] ?? "");
+}
+
+/**
+ * Splits listings into groups sharing the same values of the given fields.
+ * @param {Array<Object>} listings - Listings to group.
+ * @param {Array<string>} fields - Fields to group by.
+ * @returns {Map<string, {key: Object<string, string>, listings: Array<Object>}>} Groups by joined key.
+ */
+function groupListings(listings, fields) {
+  return listings.reduce((groups, listing) => {
+    const key = Object.fromEntries(
+      fields.map((field) => [field, groupLabel(listing, field)]),
+    );
+    const id = JSON.stringify(Object.values(key));
+    if (!groups.has(id)) {
+      groups.set(id, { key, listings: [] });
+    }
+    groups.get(id).listings.push(listing);
+    return groups;
+  }, new Map());
+}
+
+/**
+ * Summarizes one value over the valid listings (price > 0) of a group.
+ * @param {Array<Object>} listings - Listings in the group.
+ * @param {string} value - Name of the value, a key of {@link VALUES}.
+ * @returns {Summary} The summary.
+ */
+function summarizeValue(listings, value) {
+  return summarize(
+    listings.filter((listing) => listing.price > 0).map(VALUES[value]),
+  );
+}
+
+/**
+ * Computes per-group statistics of price and price per accommodate.
+ * @param {Array<Object>} listings - Listings to group.
+ * @param {Array<string>} fields - Fields to group by.
+ * @returns {Array<GroupStatistics>} Groups sorted by descending count, then by key.
+ * @throws {TypeError} If no field is given.
+ * @throws {Error} If the prices are in more than one currency; the error has code
+ *   "MIXED_CURRENCIES".
+ */
+function computeGroupStatistics(listings, fields) {
+  if (fields.length === 0) {
+    throw new TypeError("groupBy needs at least one field");
+  }
+  const currency = listingsCurrency(listings);
+  return [...groupListings(listings, fields).entries()]
+    .sort(
+      ([idA, a], [idB, b]) =>
+        b.listings.length - a.listings.length || idA.localeCompare(idB),
+    )
+    .map(([, group]) => ({
+      key: group.key,
+      count: group.listings.length,
+      currency,
+      price: summarizeValue(group.listings, "price"),
+      pricePerAccommodate: summarizeValue(
+        group.listings,
+        "pricePerAccommodate",
+      ),
+    }));
+}
+
+/**
+ * Computes a pivot table of one statistic, e.g. median price by
+ * neighbourhood × room type.
+ * @param {Array<Object>} listings - Listings to summarize.
+ * @param {string} rowField - Field whose values label the rows.
+ * @param {string} columnField - Field whose values label the columns.
+ * @param {Object} [options] - Pivot options.
+ * @param {string} [options.value="price"] - "price" or "pricePerAccommodate".
+ * @param {string} [options.statistic="median"] - A {@link Summary} key, e.g. "mean" or "count".
+ * @returns {Pivot} The pivot table; cells without valid listings are null.
+ * @throws {TypeError} If the value or statistic is unknown.
+ * @throws {Error} If the prices are in more than one currency; the error has code
+ *   "MIXED_CURRENCIES".
+ */
+function computePivot(
+  listings,
+  rowField,
+  columnField,
+  { value = "price", statistic = "median" } = {},
+) {
+  if (!(value in VALUES)) {
+    throw new TypeError(`Unknown pivot value "${value}"`);
+  }
+  if (!(statistic in summarize([]))) {
+    throw new TypeError(`Unknown pivot statistic "${statistic}"`);
+  }
+  const currency = listingsCurrency(listings);
+
+  const groups = [...groupListings(listings, [rowField, columnField]).values()];
+  const labels = (field) =>
+    [...new Set(groups.map((group) => group.key[field]))].sort((a, b) =>
+      a.localeCompare(b),
+    );
+  const rows = labels(rowField);
+  const columns = labels(columnField);
+  const cells = Object.fromEntries(
+    rows.map((row) => [
+      row,
+      Object.fromEntries(columns.map((column) => [column, null])),
+    ]),
+  );
+  groups.forEach(({ key, listings: members }) => {
+    cells[key[rowField]][key[columnField]] = summarizeValue(members, value)[
+      statistic
+    ];
+  });
+
+  return {
+    rowField,
+    columnField,
+    value,
+    statistic,
+    currency,
+    rows,
+    columns,
+    cells,
+  };
+}
+
+/**
+ * Flattens group statistics into one row per group, e.g. for tables or CSV.
+ * @param {Array<GroupStatistics>} groups - Group statistics.
+ * @returns {Array<Object>} Rows with the key fields, count, currency, and `price_<stat>`
+ *   and `pricePerAccommodate_<stat>` columns.
+ */
+function flattenGroups(groups) {
+  return groups.map(({ key, count, currency, price, pricePerAccommodate }) => ({
+    ...key,
+    count,
+    currency,
+    ...Object.fromEntries(
+      Object.entries(price).map(([name, stat]) => [`price_${name}`, stat]),
+    ),
+    ...Object.fromEntries(
+      Object.entries(pricePerAccommodate).map(([name, stat]) => [
+        `pricePerAccommodate_${name}`,
+        stat,
+      ]),
+    ),
+  }));
+}
+
+/**
+ * Flattens a pivot table into one row per row label, e.g. for tables or CSV.
+ * @param {Pivot} pivot - Pivot table.
+ * @returns {Array<Object>} Rows with the row field and one column per column label.
+ */
+function flattenPivot({ rowField, rows, cells }) {
+  return rows.map((row) => ({ [rowField]: row, ...cells[row] }));
+}
+
+export {
+  VALUES,
+  summarize,
+  computeGroupStatistics,
+  computePivot,
+  flattenGroups,
+  flattenPivot,
+};
@@ -0,0 +1,416 @@
+import { detectCurrency, parseAmount } from "./currency.js";
+/**
+ * @module validation
+ */
+
+/**
+ * Describes how one listing column is parsed and checked.
+ * @typedef {Object} FieldSchema
+ * @property {string} type - "string", "number", "integer", "currency", or "boolean"; an
+ *   "integer" with a fraction is rounded to the nearest one and reported as coerced.
+ * @property {boolean} [required] - Rows with a missing or invalid value are dropped.
+ * @property {*} [default] - Value used when the column is missing or invalid; the
+ *   replacement is reported as a coercion. Without a default the value becomes null.
+ * @property {number} [min] - Smallest allowed value.
+ * @property {number} [max] - Largest allowed value.
+ * @property {string} [onOutOfRange="keep"] - "keep", "clamp", or "drop" values outside min/max.
+ * @property {RegExp} [pattern] - Pattern a string value must match.
+ * @property {boolean} [unique] - Later rows repeating a value are reported as duplicates;
+ *   they are dropped only in strict mode or with `dropDuplicates`.
+ * @property {string} [currencyField] - For "currency" fields, column that receives the
+ *   ISO 4217 code detected from the value (see {@link detectCurrency}).
+ */
+
+/**
+ * One reported problem.
+ * @typedef {Object} ValidationSample
+ * @property {number} row - 1-based index of the data row (the header is not counted).
+ * @property {string|null} id - Listing ID of the row, if any.
+ * @property {string} field - Column with the problem.
+ * @property {*} value - Raw value from the file.
+ * @property {string} reason - Description of the problem.
+ */
+
+/**
+ * Counts and samples for one kind of problem.
+ * @typedef {Object} ValidationIssues
+ * @property {number} count - Number of problems.
+ * @property {Object<string, number>} byField - Number of problems per column.
+ * @property {Array<ValidationSample>} samples - First few problems.
+ */
+
+/**
+ * Summary of the problems found while loading listings.
+ * @typedef {Object} ValidationReport
+ * @property {number} totalRows - Number of data rows read.
+ * @property {number} validRows - Number of rows kept.
+ * @property {ValidationIssues} dropped - Rows dropped for a missing or invalid required value
+ *   (or an out-of-range value with onOutOfRange "drop").
+ * @property {ValidationIssues} coerced - Values replaced by their default or null.
+ * @property {ValidationIssues} outOfRange - Values outside their min/max that were kept or clamped.
+ * @property {ValidationIssues} duplicates - Rows repeating a unique value, kept unless
+ *   duplicates are dropped.
+ * @property {Object<string, number>} currencies - Number of kept rows per detected currency;
+ *   rows without a currency are counted under "unknown". When a whole file is validated
+ *   and it has a single currency, rows without one get it and are reported as coerced.
+ */
+
+/**
+ * Options for validating listings.
+ * @typedef {Object} ValidationOptions
+ * @property {Object<string, FieldSchema|null>} [schema] - Field schemas merged over
+ *   {@link DEFAULT_LISTING_SCHEMA}; null removes a field.
+ * @property {number} [sampleSize=5] - Samples kept per kind of problem.
+ * @property {boolean|{maxErrors?: number, maxErrorRate?: number}} [strict] - Fail when
+ *   dropped, duplicate, and out-of-range problems exceed a count or a fraction of rows;
+ *   `true` fails on any such problem.
+ * @property {boolean} [dropDuplicates] - Drop rows repeating a unique value instead of only
+ *   reporting them; defaults to true in strict mode.
+ * @property {string} [locale] - Locale of the amounts in the file, e.g. "de-DE"; by default
+ *   the decimal separator is guessed for each value.
+ * @property {string} [currency] - ISO 4217 code of amounts without a code or symbol, and
+ *   of amounts with a bare "$".
+ */
+
+/**
+ * Default schema of the listing columns used by the handler.
+ * @type {Object<string, FieldSchema>}
+ */
+const DEFAULT_LISTING_SCHEMA = Object.freeze({
+  id: { type: "string", unique: true },
+  host_id: { type: "string", required: true, pattern: /^[0-9]+$/ },
+  price: { type: "currency", default: 0, min: 0, currencyField: "currency" },
+  accommodates: { type: "integer", default: 1, min: 1, onOutOfRange: "clamp" },
+  // InsideAirbnb used a 0–100 scale before switching to 0–5.
+  review_scores_rating: { type: "number", default: 0, min: 0, max: 100 },
+  latitude: { type: "number", min: -90, max: 90 },
+  longitude: { type: "number", min: -180, max: 180 },
+});
+
+/**
+ * Parsers for each field type; they return undefined for invalid values.
+ * @type {Object<string, function(string, {locale?: string}): *>}
+ */
+const PARSERS = {
+  string: (value) => value,
+  number: (value) => {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : undefined;
+  },
+  // Fractions are kept here and rounded, as a coercion, by the validator.
+  integer: (value) => {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : undefined;
+  },
+  currency: parseAmount,
+  boolean: (value) => {
+    const text = value.toLowerCase();
+    if (["t", "true", "1", "yes"].includes(text)) {
+      return true;
+    }
+    return ["f", "false", "0", "no"].includes(text) ? false : undefined;
+  },
+};
+
+/**
+ * Creates an empty set of issues.
+ * @returns {ValidationIssues} No issues.
+ */
+function emptyIssues() {
+  return { count: 0, byField: {}, samples: [] };
+}
+
+/**
+ * Creates a validator that checks and normalizes listing rows one at a time,
+ * so it can be used both for whole files and for streams.
+ * @param {ValidationOptions} [options] - Schema, sample size, strict mode, duplicates,
+ *   locale, and default currency.
+ * @returns {{validate: function(Object): (Object|null), fillMissingCurrency: function(): void, getReport: function(): ValidationReport, assertValid: function(): void}}
+ *   Validator; `validate` returns the normalized listing or null if the row is dropped.
+ * @throws {TypeError} If a field schema has an unknown type.
+ * @throws {RangeError} If the locale tag is invalid.
+ */
+function createListingValidator({
+  schema = {},
+  sampleSize = 5,
+  strict,
+  dropDuplicates = Boolean(strict),
+  locale,
+  currency = null,
+} = {}) {
+  const fields = Object.entries({
+    ...DEFAULT_LISTING_SCHEMA,
+    ...schema,
+  }).filter(([, spec]) => spec != null);
+  fields.forEach(([field, spec]) => {
+    if (!(spec.type in PARSERS)) {
+      throw new TypeError(`Unknown type "${spec.type}" for field ${field}`);
+    }
+  });
+  // Fail early on a bad locale rather than on the first price.
+  if (locale) {
+    parseAmount("0", { locale });
+  }
+
+  const seen = new Map(
+    fields
+      .filter(([, spec]) => spec.unique)
+      .map(([field]) => [field, new Set()]),
+  );
+  const report = {
+    totalRows: 0,
+    validRows: 0,
+    dropped: emptyIssues(),
+    coerced: emptyIssues(),
+    outOfRange: emptyIssues(),
+    duplicates: emptyIssues(),
+    currencies: {},
+  };
+  // Kept listings without a currency, for fillMissingCurrency.
+  const withoutCurrency = [];
+
+  const record = (issues, sample) => {
+    issues.count++;
+    issues.byField[sample.field] = (issues.byField[sample.field] ?? 0) + 1;
+    if (issues.samples.length < sampleSize) {
+      issues.samples.push(sample);
+    }
+  };
+
+  /**
+   * Parses one field of a row.
+   * @param {Object} row - Raw CSV record.
+   * @param {string} field - Column name.
+   * @param {FieldSchema} spec - Column schema.
+   * @param {Function} issue - Records a problem for this row.
+   * @returns {{keep: boolean, value?: *}} Whether to keep the row, and the parsed value.
+   */
+  const parseField = (row, field, spec, issue) => {
+    const raw = row[field];
+    const missing = raw == null || String(raw).trim() === "";
+    let value = missing
+      ? undefined
+      : PARSERS[spec.type](String(raw).trim(), { locale });
+    let reason = missing ? "missing value" : `invalid ${spec.type}`;
+    if (value !== undefined && spec.pattern && !spec.pattern.test(value)) {
+      value = undefined;
+      reason = `does not match ${spec.pattern}`;
+    }
+
+    if (
+      spec.type === "integer" &&
+      value !== undefined &&
+      !Number.isInteger(value)
+    ) {
+      value = Math.round(value);
+      issue("coerced", field, `not an integer, rounded to ${value}`);
+    }
+
+    if (value === undefined) {
+      if (spec.required) {
+        issue("dropped", field, reason);
+        return { keep: false };
+      }
+      const fallback = spec.default ?? null;
+      if (!missing || spec.default !== undefined) {
+        issue("coerced", field, `${reason}, set to ${fallback}`);
+      }
+      return { keep: true, value: fallback };
+    }
+
+    const below = spec.min != null && value < spec.min;
+    const above = spec.max != null && value > spec.max;
+    if (below || above) {
+      const action = spec.onOutOfRange ?? "keep";
+      reason = `outside ${spec.min ?? "-∞"}..${spec.max ?? "∞"}`;
+      if (action === "drop") {
+        issue("dropped", field, reason);
+        return { keep: false };
+      }
+      issue("outOfRange", field, `${reason} (${action})`);
+      if (action === "clamp") {
+        value = below ? spec.min : spec.max;
+      }
+    }
+    return { keep: true, value };
+  };
+
+  return {
+    validate(row) {
+      report.totalRows++;
+      const rowNumber = report.totalRows;
+      const issue = (kind, field, reason) =>
+        record(report[kind], {
+          row: rowNumber,
+          id: row.id ?? null,
+          field,
+          value: row[field],
+          reason,
+        });
+
+      const listing = { ...row };
+      for (const [field, spec] of fields) {
+        const { keep, value } = parseField(row, field, spec, issue);
+        if (!keep) {
+          return null;
+        }
+        // Schema fields the file does not have are only added with a default,
+        // so that optional columns do not show up in exports as empty values.
+        if (!(field in row) && spec.default === undefined) {
+          continue;
+        }
+        listing[field] = value;
+        if (spec.currencyField && field in row) {
+          listing[spec.currencyField] = detectCurrency(
+            String(row[field] ?? ""),
+            currency,
+          );
+        }
+      }
+
+      for (const [field, values] of seen) {
+        if (listing[field] == null) {
+          continue;
+        }
+        if (values.has(listing[field])) {
+          issue(
+            "duplicates",
+            field,
+            `duplicate ${field} (${dropDuplicates ? "dropped" : "kept"})`,
+          );
+          if (dropDuplicates) {
+            return null;
+          }
+          continue;
+        }
+        values.add(listing[field]);
+      }
+
+      report.validRows++;
+      fields
+        .filter(
+          ([, { currencyField }]) => currencyField && currencyField in listing,
+        )
+        .forEach(([field, { currencyField }]) => {
+          const code = listing[currencyField] ?? "unknown";
+          report.currencies[code] = (report.currencies[code] ?? 0) + 1;
+          if (listing[currencyField] === null) {
+            withoutCurrency.push({ listing, field, currencyField, rowNumber });
+          }
+        });
+      return listing;
+    },
+
+    /**
+     * Gives the kept listings without a currency, e.g. plain numbers among
+     * "$" prices, the only currency detected in the rows seen so far, and
+     * reports each as a coercion. It needs every row first, so it suits
+     * whole files rather than streams; with several currencies, or none, the
+     * listings are left as they are.
+     * @returns {void}
+     */
+    fillMissingCurrency() {
+      const known = Object.keys(report.currencies).filter(
+        (code) => code !== "unknown",
+      );
+      if (known.length !== 1 || withoutCurrency.length === 0) {
+        return;
+      }
+      const [code] = known;
+      withoutCurrency.forEach(
+        ({ listing, field, currencyField, rowNumber }) => {
+          listing[currencyField] = code;
+          record(report.coerced, {
+            row: rowNumber,
+            id: listing.id ?? null,
+            field: currencyField,
+            value: null,
+            reason: `no currency in ${field}, set to ${code}, the only one in the file`,
+          });
+        },
+      );
+      report.currencies[code] += report.currencies.unknown;
+      delete report.currencies.unknown;
+      withoutCurrency.length = 0;
+    },
+
+    getReport() {
+      return structuredClone(report);
+    },
+
+    assertValid() {
+      if (!strict) {
+        return;
+      }
+      const { maxErrors = strict === true ? 0 : Infinity, maxErrorRate = 1 } =
+        strict === true ? {} : strict;
+      const errors =
+        report.dropped.count +
+        report.duplicates.count +
+        report.outOfRange.count;
+      const rate = report.totalRows ? errors / report.totalRows : 0;
+      if (errors > maxErrors || rate > maxErrorRate) {
+        const error = new Error(
+          `Validation failed: ${errors} problems in ${report.totalRows} rows`,
+        );
+        error.report = structuredClone(report);
+        throw error;
+      }
+    },
+  };
+}
+
+/**
+ * Validates and normalizes raw listing rows. Since every row is known, rows
+ * without a currency get the only currency of the others, if there is one.
+ * @param {Array<Object>} rows - Raw CSV records.
+ * @param {ValidationOptions} [options] - Schema, sample size, and strict mode.
+ * @returns {{listings: Array<Object>, report: ValidationReport}} Kept listings and the report.
+ * @throws {Error} In strict mode, if the problems exceed the threshold; the error has a `report`.
+ */
+function validateListings(rows, options) {
+  const validator = createListingValidator(options);
+  const listings = rows.map(validator.validate).filter(Boolean);
+  validator.fillMissingCurrency();
+  validator.assertValid();
+  return { listings, report: validator.getReport() };
+}
+
+/**
+ * Summarizes a validation report in one line.
+ * @param {ValidationReport} report - Report to summarize.
+ * @returns {string} The summary, e.g. "98 of 100 rows kept: 2 dropped, ...".
+ */
+function describeReport({
+  totalRows,
+  validRows,
+  dropped,
+  coerced,
+  outOfRange,
+  duplicates,
+}) {
+  return (
+    `${validRows} of ${totalRows} rows kept: ${dropped.count} dropped, ` +
+    `${duplicates.count} duplicates, ${coerced.count} values coerced, ` +
+    `${outOfRange.count} out of range`
+  );
+}
+
+/**
+ * Checks whether a validation report contains any problem.
+ * @param {ValidationReport} report - Report to check.
+ * @returns {boolean} True if any row was dropped or any value was changed or out of range.
+ */
+function hasIssues(report) {
+  return ["dropped", "coerced", "outOfRange", "duplicates"].some(
+    (kind) => report[kind].count > 0,
+  );
+}
+
+export {
+  DEFAULT_LISTING_SCHEMA,
+  createListingValidator,
+  validateListings,
+  describeReport,
+  hasIssues,
+};
@@ -0,0 +1,489 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { PassThrough } from "stream";
+import {
+  loadListings,
+  loadListingsWithReport,
+  AirBnBDataHandler,
+  createFilterFunction,
+  computeStatistics,
+} from "../solution/AirBnBDataHandler.js";
+import { loadRates } from "../solution/currency.js";
+import { exportDiff } from "../solution/diff.js";
+import { validateListings } from "../solution/validation.js";
+
+const fixture = (name, extension = "csv") =>
+  path.join(import.meta.dirname, "fixtures", `${name}.${extension}`);
+
+const ids = (listings) => listings.map((listing) => listing.id);
+
+describe("loadListings", () => {
+  it("parses plain and currency-formatted prices", async () => {
+    const listings = await loadListings(fixture("listings"));
+    assert.deepEqual(
+      listings.map((listing) => listing.price),
+      [85, 1234, 120, 0, 60.5, 2000],
+    );
+  });
+
+  it("gives plain numbers the only currency of the file", async () => {
+    const { listings, report } = await loadListingsWithReport(
+      fixture("listings"),
+    );
+    assert.equal(listings[2].currency, "USD");
+    assert.deepEqual(report.currencies, { USD: 6 });
+    assert.equal(report.coerced.byField.currency, 1);
+    const sample = report.coerced.samples.find(
+      ({ field }) => field === "currency",
+    );
+    assert.equal(sample.id, "3");
+    assert.match(sample.reason, /set to USD/);
+  });
+
+  it("parses European prices and detects their currency", async () => {
+    const { listings, report } = await loadListingsWithReport(fixture("eur"));
+    assert.deepEqual(
+      listings.map(({ price, currency }) => [price, currency]),
+      [
+        [1234.56, "EUR"],
+        [85, "EUR"],
+        [99.5, "EUR"],
+        [1250, "EUR"],
+      ],
+    );
+    assert.deepEqual(report.currencies, { EUR: 4 });
+  });
+
+  it("reads prices with the decimal separator of a locale", async () => {
+    const listings = await loadListings(fixture("listings"), {
+      locale: "de-DE",
+      currency: "CAD",
+    });
+    assert.deepEqual(
+      listings.slice(0, 3).map(({ price, currency }) => [price, currency]),
+      [
+        [8500, "CAD"],
+        [1.234, "CAD"],
+        [120, "CAD"],
+      ],
+    );
+  });
+
+  it("rejects an invalid locale", async () => {
+    await assert.rejects(
+      loadListings(fixture("listings"), { locale: "not a locale" }),
+      RangeError,
+    );
+  });
+
+  it("clamps zero accommodates to one guest and reports it", async () => {
+    const { listings, report } = await loadListingsWithReport(
+      fixture("listings"),
+    );
+    assert.equal(
+      listings.find((listing) => listing.id === "6").accommodates,
+      1,
+    );
+    assert.deepEqual(report.outOfRange.byField, { accommodates: 1 });
+  });
+
+  it("fills missing fields with defaults and drops rows without a host", async () => {
+    const { listings, report } = await loadListingsWithReport(
+      fixture("missing-fields"),
+    );
+    assert.deepEqual(
+      listings.map(({ id, price, accommodates, review_scores_rating }) => [
+        id,
+        price,
+        accommodates,
+        review_scores_rating,
+      ]),
+      [
+        ["1", 0, 2, 0],
+        ["2", 90, 1, 0],
+        ["4", 50, 2, 0],
+      ],
+    );
+    assert.equal(report.totalRows, 4);
+    assert.equal(report.dropped.count, 1);
+  });
+
+  it("rounds fractional guest counts instead of replacing them", () => {
+    const { listings, report } = validateListings(
+      [
+        { id: "1", host_id: "101", price: "$90", accommodates: "2.5" },
+        { id: "2", host_id: "101", price: "$80", accommodates: "0.4" },
+      ].map((row) => ({ ...row, review_scores_rating: "4.5" })),
+    );
+    assert.deepEqual(
+      listings.map(({ accommodates }) => accommodates),
+      [3, 1],
+    );
+    assert.deepEqual(
+      report.coerced.samples.map(({ id, reason }) => [id, reason]),
+      [
+        ["1", "not an integer, rounded to 3"],
+        ["2", "not an integer, rounded to 0"],
+      ],
+    );
+    assert.deepEqual(report.outOfRange.byField, { accommodates: 1 });
+  });
+
+  it("drops rows with non-numeric host ids", async () => {
+    const { listings, report } = await loadListingsWithReport(
+      fixture("host-ids"),
+    );
+    assert.deepEqual(ids(listings), ["3", "4"]);
+    assert.equal(report.dropped.count, 2);
+    assert.deepEqual(report.dropped.byField, { host_id: 2 });
+  });
+
+  it("reports repeated ids and keeps their rows", async () => {
+    const { listings, report } = await loadListingsWithReport(
+      fixture("duplicates"),
+    );
+    assert.deepEqual(ids(listings), ["1", "1", "2"]);
+    assert.equal(report.duplicates.count, 1);
+    assert.equal(report.duplicates.samples[0].reason, "duplicate id (kept)");
+  });
+
+  it("drops repeated ids in strict mode or on request", async () => {
+    const strict = await loadListings(fixture("duplicates"), {
+      strict: { maxErrors: 1 },
+    });
+    const dropped = await loadListings(fixture("duplicates"), {
+      dropDuplicates: true,
+    });
+    assert.deepEqual(ids(strict), ["1", "2"]);
+    assert.deepEqual(ids(dropped), ["1", "2"]);
+  });
+
+  it("leaves out optional schema fields the file does not have", async () => {
+    const [listing] = await loadListings(fixture("listings"));
+    assert.ok(!("latitude" in listing));
+    assert.ok(!("longitude" in listing));
+    assert.equal(listing.accommodates, 2);
+  });
+
+  it("returns no listings for a file with only a header", async () => {
+    assert.deepEqual(await loadListings(fixture("empty")), []);
+  });
+
+  it("rejects a missing file", async (t) => {
+    t.mock.method(console, "error", () => {});
+    await assert.rejects(loadListings(fixture("missing")), { code: "ENOENT" });
+  });
+});
+
+describe("createFilterFunction", () => {
+  let listings;
+  before(async () => {
+    listings = await loadListings(fixture("listings"));
+  });
+
+  it("applies the original criteria object", () => {
+    const matches = listings.filter(
+      createFilterFunction({ minPrice: 100, maxRooms: 3 }),
+    );
+    assert.deepEqual(ids(matches), ["3", "6"]);
+  });
+
+  it("ignores criteria left empty", () => {
+    const matches = listings.filter(
+      createFilterFunction({ minPrice: null, maxPrice: undefined }),
+    );
+    assert.equal(matches.length, listings.length);
+  });
+
+  it("accepts query strings and criteria trees", () => {
+    const query = createFilterFunction(
+      "room_type ~ /^Entire/ and review_scores_rating >= 4.9",
+    );
+    const tree = createFilterFunction({
+      or: [
+        { field: "neighbourhood_cleansed", op: "eq", value: "Marina" },
+        { field: "price", op: "lt", value: 86 },
+      ],
+    });
+    assert.deepEqual(ids(listings.filter(query)), ["2", "6"]);
+    assert.deepEqual(ids(listings.filter(tree)), ["1", "4", "5", "6"]);
+  });
+
+  it("matches every listing with a global regex", () => {
+    const matches = listings.filter(
+      createFilterFunction("room_type ~ /room/gi"),
+    );
+    assert.deepEqual(ids(matches), ["1", "4", "5"]);
+  });
+
+  it("throws on malformed criteria", () => {
+    assert.throws(() => createFilterFunction("price <"), SyntaxError);
+    assert.throws(
+      () => createFilterFunction({ field: "price", op: "near", value: 1 }),
+      TypeError,
+    );
+  });
+});
+
+describe("computeStatistics", () => {
+  it("averages over listings with a price only", async () => {
+    const stats = computeStatistics(await loadListings(fixture("listings")));
+    assert.equal(stats.total_count, 6);
+    assert.equal(stats.count, 5);
+    assert.equal(stats.avgPriceValidListings, 699.9);
+    assert.ok(Math.abs(stats.avgPricePerRoom - 2348.6667 / 5) < 1e-3);
+    assert.equal(stats.currency, "USD");
+  });
+
+  it("refuses to average prices in several currencies", async () => {
+    const listings = await loadListings(fixture("mixed"));
+    assert.throws(() => computeStatistics(listings), {
+      code: "MIXED_CURRENCIES",
+      message: /USD, EUR, GBP/,
+    });
+  });
+
+  it("refuses to average prices with and without a currency", () => {
+    const listings = [
+      { id: "1", host_id: "1", price: 100, accommodates: 2, currency: "USD" },
+      { id: "2", host_id: "1", price: 120, accommodates: 2, currency: null },
+    ];
+    assert.throws(() => computeStatistics(listings), {
+      code: "MIXED_CURRENCIES",
+      message: /USD with prices without a currency/,
+    });
+  });
+
+  it("does not divide by zero accommodates", () => {
+    const stats = computeStatistics([
+      { id: "1", host_id: "1", price: 100, accommodates: 0 },
+      { id: "2", host_id: "1", price: 50, accommodates: 2 },
+    ]);
+    assert.equal(stats.avgPricePerRoom, (100 + 25) / 2);
+  });
+
+  it("returns zero averages without valid listings", () => {
+    const empty = { total_count: 0, count: 0 };
+    assert.deepEqual(computeStatistics([]), {
+      ...empty,
+      avgPricePerRoom: 0,
+      avgPriceValidListings: 0,
+      currency: null,
+    });
+    assert.deepEqual(
+      computeStatistics([{ id: "1", host_id: "1", price: 0, accommodates: 2 }]),
+      {
+        total_count: 1,
+        count: 0,
+        avgPricePerRoom: 0,
+        avgPriceValidListings: 0,
+        currency: null,
+      },
+    );
+  });
+});
+
+describe("AirBnBDataHandler", () => {
+  let listings;
+  let dir;
+  before(async () => {
+    listings = await loadListings(fixture("listings"));
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "airbnb-test-"));
+  });
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it("ranks hosts by number of listings, then by host id", () => {
+    const { topHosts } = AirBnBDataHandler(listings).rankHosts().getData();
+    assert.deepEqual(
+      topHosts.map(({ host_id, count }) => [host_id, count]),
+      [
+        ["101", 2],
+        ["202", 2],
+        ["303", 2],
+      ],
+    );
+  });
+
+  it("ranks hosts by estimated revenue", () => {
+    const { topHosts } = AirBnBDataHandler(listings)
+      .rankHosts({ metric: "revenue", limit: 2 })
+      .getData();
+    assert.deepEqual(
+      topHosts.map(({ host_id, value }) => [host_id, value]),
+      [
+        ["303", 60.5 * 315 + 2000 * 355],
+        ["101", 85 * 265 + 1234 * 165],
+      ],
+    );
+  });
+
+  it("handles filters that match no listing", () => {
+    const handler = AirBnBDataHandler(listings)
+      .filter({ minPrice: 5000 })
+      .computeStats()
+      .rankHosts();
+    const { filteredRecords, stats, topHosts } = handler.getData();
+    assert.deepEqual(filteredRecords, []);
+    assert.deepEqual(stats, {
+      total_count: 0,
+      count: 0,
+      avgPricePerRoom: 0,
+      avgPriceValidListings: 0,
+      currency: null,
+    });
+    assert.deepEqual(topHosts, []);
+  });
+
+  it("leaves the original snapshot untouched", () => {
+    const handler = AirBnBDataHandler(listings);
+    handler.filter({ minPrice: 100 });
+    assert.equal(handler.getData().filteredRecords.length, listings.length);
+  });
+
+  it("records a private copy of the arguments in the history", () => {
+    const summary = { 1: { review_count: 3 } };
+    const criteria = { and: [{ field: "price", op: "gte", value: 100 }] };
+    const handler = AirBnBDataHandler(listings)
+      .joinReviews(summary)
+      .filter(criteria);
+    summary[1].review_count = 7;
+    criteria.and[0].value = 5000;
+    const [joined, filtered] = handler.getHistory();
+    assert.equal(joined.operation, "joinReviews");
+    assert.deepEqual(joined.args[0], { 1: { review_count: 3 } });
+    assert.equal(filtered.args[0].and[0].value, 100);
+    assert.ok(Object.isFrozen(filtered.args[0].and[0]));
+    assert.ok(!Object.isFrozen(criteria));
+    const replayed = handler.replay(listings).getData().filteredRecords;
+    assert.deepEqual(ids(replayed), ["2", "3", "6"]);
+  });
+
+  it("exports the filtered listings as CSV", async () => {
+    const output = path.join(dir, "listings.csv");
+    await AirBnBDataHandler(listings)
+      .filter({ minPrice: 100 })
+      .exportData(output, { columns: ["id", "price"] });
+    assert.equal(
+      await fs.readFile(output, "utf8"),
+      "id,price\n2,1234\n3,120\n6,2000\n",
+    );
+  });
+
+  it("exports statistics as JSON", async () => {
+    const output = path.join(dir, "stats.json");
+    await AirBnBDataHandler(listings)
+      .computeStats()
+      .exportData(output, { data: "stats" });
+    const stats = JSON.parse(await fs.readFile(output, "utf8"));
+    assert.equal(stats.count, 5);
+  });
+
+  it("exports to a writable stream", async () => {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on("data", (chunk) => chunks.push(chunk));
+    await AirBnBDataHandler(listings)
+      .rankHosts({ limit: 1 })
+      .exportData(stream, {
+        data: "topHosts",
+        format: "ndjson",
+        columns: ["host_id"],
+      });
+    assert.equal(
+      Buffer.concat(chunks).toString(),
+      `${JSON.stringify({ host_id: "101" })}\n`,
+    );
+  });
+
+  it("converts prices to one currency before computing statistics", async () => {
+    const rates = await loadRates(fixture("rates", "json"));
+    const handler = AirBnBDataHandler(await loadListings(fixture("mixed")))
+      .convertCurrency(rates, "USD")
+      .computeStats();
+    const { filteredRecords, stats } = handler.getData();
+    assert.deepEqual(
+      filteredRecords.map(({ price, original_price, original_currency }) => [
+        price,
+        original_price,
+        original_currency,
+      ]),
+      [
+        [100, 100, "USD"],
+        [135, 108, "EUR"],
+        [125, 85, "GBP"],
+      ],
+    );
+    assert.equal(stats.avgPriceValidListings, 120);
+    assert.equal(stats.currency, "USD");
+    assert.deepEqual(
+      handler.getHistory().map(({ operation }) => operation),
+      ["convertCurrency", "computeStats"],
+    );
+  });
+
+  const summaries = {
+    groupBy: (handler) => handler.groupBy("host_id"),
+    pivot: (handler) => handler.pivot("host_id", "accommodates"),
+    aggregateGrid: (handler) => handler.aggregateGrid(),
+    detectOutliers: (handler) => handler.detectOutliers(),
+    estimateFairPrices: (handler) => handler.estimateFairPrices(),
+    "rankHosts by revenue": (handler) =>
+      handler.rankHosts({ metric: "revenue" }),
+  };
+  Object.entries(summaries).forEach(([name, summarize]) => {
+    it(`refuses prices in several currencies in ${name}`, async () => {
+      const handler = AirBnBDataHandler(await loadListings(fixture("mixed")));
+      assert.throws(() => summarize(handler), { code: "MIXED_CURRENCIES" });
+    });
+  });
+
+  it("adds the currency to groups, pivots, and grid cells", async () => {
+    const rates = await loadRates(fixture("rates", "json"));
+    const { groups, pivot, grid } = AirBnBDataHandler(
+      await loadListings(fixture("mixed")),
+    )
+      .convertCurrency(rates, "EUR")
+      .groupBy("host_id")
+      .pivot("host_id", "accommodates")
+      .aggregateGrid()
+      .getData();
+    assert.deepEqual(
+      [...groups, ...grid].map(({ currency }) => currency),
+      ["EUR", "EUR", "EUR", "EUR"],
+    );
+    assert.equal(pivot.currency, "EUR");
+  });
+
+  it("fails to convert a currency missing from the rates", () => {
+    assert.throws(
+      () =>
+        AirBnBDataHandler(listings).convertCurrency(
+          { base: "EUR", rates: { EUR: 1 } },
+          "EUR",
+        ),
+      { message: "No exchange rate for USD from EUR" },
+    );
+  });
+
+  it("refuses to export empty results", async () => {
+    await assert.rejects(
+      AirBnBDataHandler(listings)
+        .filter({ minPrice: 5000 })
+        .exportData(path.join(dir, "empty.csv")),
+      { message: "No records to export." },
+    );
+  });
+
+  it("refuses to export a diff without differences", async () => {
+    const diff = AirBnBDataHandler(listings).compareWith(listings);
+    await assert.rejects(exportDiff(diff, path.join(dir, "diff.csv")), {
+      code: "EMPTY_EXPORT",
+      message: "No records differences to export.",
+    });
+  });
+});
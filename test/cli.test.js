@@ -0,0 +1,109 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { PassThrough } from "stream";
+import { EXIT_CODES, parseCliArgs, runCli } from "../solution/cli.js";
+
+const fixture = (name) =>
+  path.join(import.meta.dirname, "fixtures", `${name}.csv`);
+
+/**
+ * Runs a CLI invocation, collecting what it writes.
+ * @param {Array<string>} argv - Arguments, without the node and script paths.
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>} Exit code and output.
+ */
+async function run(argv) {
+  const stdout = new PassThrough();
+  const stderr = new PassThrough();
+  const chunks = { stdout: [], stderr: [] };
+  stdout.on("data", (chunk) => chunks.stdout.push(chunk));
+  stderr.on("data", (chunk) => chunks.stderr.push(chunk));
+  const code = await runCli(parseCliArgs(argv), { stdout, stderr });
+  return {
+    code,
+    stdout: Buffer.concat(chunks.stdout).toString(),
+    stderr: Buffer.concat(chunks.stderr).toString(),
+  };
+}
+
+describe("runCli", () => {
+  let dir;
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "airbnb-cli-"));
+  });
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it("exports the matching listings", async () => {
+    const output = path.join(dir, "cheap.csv");
+    const { code } = await run([
+      "export",
+      fixture("listings"),
+      "--max-price",
+      "100",
+      "--output",
+      output,
+    ]);
+    assert.equal(code, EXIT_CODES.OK);
+    assert.match(await fs.readFile(output, "utf8"), /^id,/);
+  });
+
+  it("exits with NO_RESULTS when an export matches nothing", async () => {
+    const output = path.join(dir, "none.csv");
+    const { code, stderr } = await run([
+      "export",
+      fixture("listings"),
+      "--min-price",
+      "5000",
+      "--output",
+      output,
+    ]);
+    assert.equal(code, EXIT_CODES.NO_RESULTS);
+    assert.match(stderr, /No records to export/);
+    await assert.rejects(fs.access(output), { code: "ENOENT" });
+  });
+
+  it("exports listings with and without a currency", async () => {
+    const output = path.join(dir, "all.csv");
+    const { code } = await run([
+      "export",
+      fixture("listings"),
+      "--metric",
+      "revenue",
+      "--output",
+      output,
+    ]);
+    assert.equal(code, EXIT_CODES.OK);
+    const lines = (await fs.readFile(output, "utf8")).trim().split("\n");
+    assert.equal(lines.length, 1 + 6);
+  });
+
+  it("exits with INVALID_DATA when prices cannot be summarized", async () => {
+    const { code, stderr } = await run([
+      "hosts",
+      fixture("listings"),
+      "--stream",
+      "--metric",
+      "revenue",
+    ]);
+    assert.equal(code, EXIT_CODES.INVALID_DATA);
+    assert.match(stderr, /without a currency.*--currency <code>/);
+  });
+
+  it("exits with NO_RESULTS when a diff export has no differences", async () => {
+    const output = path.join(dir, "diff.csv");
+    const { code, stderr } = await run([
+      "diff",
+      fixture("listings"),
+      fixture("listings"),
+      "--output",
+      output,
+    ]);
+    assert.equal(code, EXIT_CODES.NO_RESULTS);
+    assert.match(stderr, /No records differences to export/);
+    await assert.rejects(fs.access(output), { code: "ENOENT" });
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { loadConfig, runReport } from "../solution/config.js";
+
+describe("runReport", () => {
+  let dir;
+  let config;
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "airbnb-config-"));
+    const configPath = path.join(dir, "airbnb.config.json");
+    const exports = [{ output: "out/listings.csv" }];
+    await fs.writeFile(
+      configPath,
+      JSON.stringify({
+        datasets: {
+          sf: path.join(import.meta.dirname, "fixtures", "listings.csv"),
+        },
+        reports: {
+          cheap: { dataset: "sf", where: "price < 100", exports },
+          none: { dataset: "sf", where: "price > 5000", exports },
+        },
+      }),
+    );
+    config = await loadConfig(configPath);
+  });
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it("filters, computes statistics and writes the exports", async () => {
+    const report = await runReport(config, "cheap");
+    assert.equal(report.matched, 3);
+    assert.equal(report.stats.count, 2);
+    assert.deepEqual(report.exports, [
+      {
+        output: path.join(dir, "out", "listings.csv"),
+        data: "records",
+        count: 3,
+      },
+    ]);
+  });
+
+  it("skips the exports of a report that matches nothing", async () => {
+    await fs.rm(path.join(dir, "out"), { recursive: true, force: true });
+    const report = await runReport(config, "none");
+    assert.equal(report.matched, 0);
+    assert.equal(report.stats.count, 0);
+    assert.deepEqual(report.exports, [
+      {
+        output: path.join(dir, "out", "listings.csv"),
+        data: "records",
+        count: 0,
+        skipped: true,
+      },
+    ]);
+    await assert.rejects(fs.access(path.join(dir, "out", "listings.csv")), {
+      code: "ENOENT",
+    });
+  });
+});
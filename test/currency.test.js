@@ -0,0 +1,108 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseAmount,
+  detectCurrency,
+  normalizeRates,
+  convertAmount,
+  convertListing,
+  formatMoney,
+} from "../solution/currency.js";
+
+const RATES = normalizeRates({ base: "EUR", rates: { USD: 1.25, GBP: 0.8 } });
+
+describe("parseAmount", () => {
+  it("guesses the decimal separator of each amount", () => {
+    const amounts = [
+      "$1,234.00",
+      "1.234,56 €",
+      "€85,00",
+      "1 250,00 €",
+      "CHF 1'250.50",
+      "1,234",
+      "1.234",
+      "12,5",
+      "1,234,567",
+      "-5.25",
+    ];
+    assert.deepEqual(
+      amounts.map((amount) => parseAmount(amount)),
+      [1234, 1234.56, 85, 1250, 1250.5, 1234, 1234, 12.5, 1234567, -5.25],
+    );
+  });
+
+  it("uses the decimal separator of a locale", () => {
+    assert.equal(parseAmount("1.234", { locale: "de-DE" }), 1234);
+    assert.equal(parseAmount("1,234", { locale: "de-DE" }), 1.234);
+    assert.equal(parseAmount("1,234", { locale: "en-US" }), 1234);
+  });
+
+  it("returns undefined for text without a number", () => {
+    assert.equal(parseAmount("€"), undefined);
+    assert.equal(parseAmount("12-34"), undefined);
+  });
+});
+
+describe("detectCurrency", () => {
+  it("reads ISO codes and symbols", () => {
+    assert.equal(detectCurrency("99,50 EUR"), "EUR");
+    assert.equal(detectCurrency("£85.00"), "GBP");
+    assert.equal(detectCurrency("A$120"), "AUD");
+    assert.equal(detectCurrency("US$120"), "USD");
+  });
+
+  it("uses the fallback for a bare $ and plain numbers", () => {
+    assert.equal(detectCurrency("$120"), "USD");
+    assert.equal(detectCurrency("$120", "CAD"), "CAD");
+    assert.equal(detectCurrency("120"), null);
+    assert.equal(detectCurrency("120", "MXN"), "MXN");
+  });
+});
+
+describe("conversion", () => {
+  it("converts through the base currency", () => {
+    assert.equal(convertAmount(100, "GBP", "USD", RATES), 156.25);
+    assert.equal(convertAmount(100, "EUR", "EUR", RATES), 100);
+    assert.throws(() => convertAmount(1, "JPY", "EUR", RATES), {
+      message: "No exchange rate for JPY from EUR",
+    });
+  });
+
+  it("keeps the original price of a converted listing", () => {
+    assert.deepEqual(
+      convertListing({ id: "1", price: 80, currency: "GBP" }, RATES, "EUR"),
+      {
+        id: "1",
+        price: 100,
+        currency: "EUR",
+        original_price: 80,
+        original_currency: "GBP",
+      },
+    );
+    assert.throws(
+      () =>
+        convertListing({ id: "2", price: 10, currency: null }, RATES, "EUR"),
+      /Listing 2 has a price without a currency/,
+    );
+  });
+
+  it("rejects invalid rates tables", () => {
+    assert.throws(() => normalizeRates({ base: "eur", rates: {} }), TypeError);
+    assert.throws(
+      () => normalizeRates({ base: "EUR", rates: { USD: 0 } }),
+      /The rate of USD must be a positive number/,
+    );
+  });
+});
+
+describe("formatMoney", () => {
+  it("formats amounts for a locale", () => {
+    assert.equal(formatMoney(1234.5, "USD", "en-US"), "$1,234.50");
+    assert.equal(
+      formatMoney(1234.5, "EUR", "de-DE").replace(/\s/g, " "),
+      "1.234,50 €",
+    );
+    assert.equal(formatMoney(1234.5, null, "en-US"), "1,234.50");
+    assert.equal(formatMoney(null, "USD", "en-US"), "");
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { loadJoinSummaries } from "../solution/joins.js";
+import { loadRates, convertListing } from "../solution/currency.js";
+
+const fixture = (name, extension = "csv") =>
+  path.join(import.meta.dirname, "fixtures", `${name}.${extension}`);
+
+describe("loadJoinSummaries", () => {
+  it("reads calendar prices in the locale and currency of the listings", async () => {
+    const { calendar } = await loadJoinSummaries({
+      calendar: fixture("calendar"),
+      range: { to: "2024-01-02" },
+      locale: "de-DE",
+    });
+    assert.deepEqual(
+      Object.values(calendar).map(
+        ({ calendar_avg_price, calendar_currency }) => [
+          calendar_avg_price,
+          calendar_currency,
+        ],
+      ),
+      [
+        [1117.28, "EUR"],
+        [85, "EUR"],
+        [90, "EUR"],
+      ],
+    );
+  });
+
+  it("refuses nights of a listing in several currencies", async () => {
+    await assert.rejects(
+      loadJoinSummaries({ calendar: fixture("calendar"), locale: "de-DE" }),
+      { code: "MIXED_CURRENCIES" },
+    );
+  });
+
+  it("converts the calendar price from its own currency", async () => {
+    const { calendar } = await loadJoinSummaries({
+      calendar: fixture("calendar"),
+      range: { to: "2024-01-02" },
+      currency: "USD",
+    });
+    const listing = { id: "1", price: 100, currency: "USD", ...calendar[1] };
+    const converted = convertListing(
+      listing,
+      await loadRates(fixture("rates", "json")),
+      "USD",
+    );
+    assert.ok(Math.abs(converted.calendar_avg_price - 1117.28 * 1.25) < 1e-9);
+    assert.equal(converted.calendar_currency, "USD");
+  });
+});
@@ -0,0 +1,141 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { PassThrough } from "stream";
+import { MainModule } from "../solution/main.js";
+
+const fixture = (name) =>
+  path.join(import.meta.dirname, "fixtures", `${name}.csv`);
+
+/**
+ * Runs the interactive module, answering each prompt with the next answer.
+ * @param {Array<string>} answers - Answers in prompt order.
+ * @param {Object} [options] - Extra MainModule options.
+ * @returns {Promise<{output: string, errors: string, prompts: number}>} What the module wrote.
+ */
+async function runInteractive(answers, options = {}) {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  const errorOutput = new PassThrough();
+  const remaining = [...answers];
+  let text = "";
+  let errors = "";
+  let prompts = 0;
+  output.on("data", (chunk) => {
+    text += chunk;
+    const asked = text.split("~> ").length - 1;
+    for (; prompts < asked; prompts++) {
+      input.write(`${remaining.shift() ?? ""}\n`);
+    }
+  });
+  errorOutput.on("data", (chunk) => {
+    errors += chunk;
+  });
+  await MainModule({ input, output, errorOutput, ...options }).run();
+  return { output: text, errors, prompts };
+}
+
+describe("MainModule", () => {
+  let dir;
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "airbnb-main-"));
+  });
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it("filters, prints statistics and ranks hosts", async () => {
+    const { output } = await runInteractive(
+      [fixture("listings"), "100", "", "", "", ""],
+      { locale: "en-US" },
+    );
+    assert.match(output, /Filtered Listings Count: 3/);
+    assert.match(output, /- Valid Listings \(price > 0\): 3/);
+    assert.match(output, /- Average Price of All Valid Listings: \$1,118\.00/);
+    assert.match(output, /1\. Host ID: 101, Listings: 1/);
+  });
+
+  it("formats prices in the currency and locale of the file", async () => {
+    const { output } = await runInteractive([fixture("eur")], {
+      locale: "de-DE",
+    });
+    assert.match(output, /- Average Price of All Valid Listings: 667,27\s€/);
+  });
+
+  it("reads plain prices in the only currency of the file", async () => {
+    const { output } = await runInteractive([fixture("listings")], {
+      locale: "en-US",
+    });
+    assert.match(output, /Data check: .*2 values coerced/);
+    assert.match(output, /- Average Price of All Valid Listings: \$699\.90/);
+  });
+
+  it("explains prices in several currencies", async () => {
+    const { errors } = await runInteractive([fixture("mixed")]);
+    assert.match(errors, /Cannot average prices in USD, EUR, GBP.*--rates/);
+  });
+
+  it("asks again for an empty file path", async () => {
+    const { output } = await runInteractive(["", fixture("listings")]);
+    assert.match(
+      output,
+      /Invalid input\. Please provide a valid CSV file path\./,
+    );
+    assert.match(output, /Filtered Listings Count: 6/);
+  });
+
+  it("reports filters that match no listing", async () => {
+    const { output } = await runInteractive([fixture("listings"), "5000"]);
+    assert.match(output, /Filtered Listings Count: 0/);
+    assert.match(
+      output,
+      /No valid listings found based on the applied filters/,
+    );
+    assert.match(output, /No hosts found based on the applied filters/);
+  });
+
+  it("mentions dropped rows of the file", async () => {
+    const { output } = await runInteractive([fixture("host-ids")]);
+    assert.match(output, /Data check: .*2 dropped/);
+    assert.match(output, /Filtered Listings Count: 2/);
+  });
+
+  it("exports the results to the given path", async () => {
+    const exportPath = path.join(dir, "results.csv");
+    const { output } = await runInteractive([
+      fixture("listings"),
+      "",
+      "",
+      "3",
+      "",
+      "",
+      "",
+      exportPath,
+    ]);
+    assert.match(output, /Results exported to /);
+    const lines = (await fs.readFile(exportPath, "utf8")).trim().split("\n");
+    assert.equal(lines.length, 1 + 2);
+  });
+
+  it("saves the answers as a preset and asks before replacing it", async () => {
+    const configPath = path.join(dir, "airbnb.config.json");
+    await runInteractive(
+      [fixture("listings"), "50", "", "2", "", "", "cheap"],
+      { configPath },
+    );
+    const { output } = await runInteractive(
+      [fixture("listings"), "70", "", "", "", "", "cheap", "y"],
+      { configPath },
+    );
+    assert.match(output, /Preset "cheap" exists\. Replace it\?/);
+    const config = JSON.parse(await fs.readFile(configPath, "utf8"));
+    assert.deepEqual(config.presets, { cheap: { minPrice: 70 } });
+  });
+
+  it("reports a file that cannot be read", async () => {
+    const { errors } = await runInteractive([fixture("missing")]);
+    assert.match(errors, /An error occurred: .*ENOENT/);
+  });
+});
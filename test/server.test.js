@@ -0,0 +1,107 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { loadListings } from "../solution/AirBnBDataHandler.js";
+import { createServer } from "../solution/server.js";
+
+const fixture = (name) =>
+  path.join(import.meta.dirname, "fixtures", `${name}.csv`);
+
+/**
+ * Starts a server over a fixture on a free port.
+ * @param {string} name - Fixture name.
+ * @returns {Promise<{server: http.Server, url: string}>} The server and its base URL.
+ */
+async function serve(name) {
+  const server = createServer(await loadListings(fixture(name)));
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+describe("createServer", () => {
+  let geo;
+  let mixed;
+  before(async () => {
+    geo = await serve("geo");
+    mixed = await serve("mixed");
+  });
+  after(async () => {
+    await Promise.all(
+      [geo, mixed].map(
+        ({ server }) => new Promise((resolve) => server.close(resolve)),
+      ),
+    );
+  });
+
+  it("exports listings as GeoJSON", async () => {
+    const res = await fetch(`${geo.url}/export?format=geojson&maxPrice=120`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^application\/geo\+json/);
+    assert.match(res.headers.get("content-disposition"), /records\.geojson/);
+    const { type, features } = await res.json();
+    assert.equal(type, "FeatureCollection");
+    assert.deepEqual(
+      features.map(({ geometry }) => geometry.coordinates),
+      [
+        [-122.42, 37.76],
+        [-122.44, 37.8],
+      ],
+    );
+  });
+
+  it("exports the price grid", async () => {
+    const res = await fetch(`${geo.url}/export?data=grid&format=json`);
+    assert.equal(res.status, 200);
+    const cells = await res.json();
+    assert.equal(cells.length, 2);
+    assert.deepEqual(cells.map(({ count }) => count).sort(), [1, 2]);
+  });
+
+  it("rejects invalid grid parameters", async () => {
+    const res = await fetch(`${geo.url}/export?data=grid&cellSize=0`);
+    assert.equal(res.status, 400);
+  });
+
+  it("refuses to summarize prices in several currencies", async () => {
+    const paths = ["/stats", "/hosts?metric=revenue", "/export?data=grid"];
+    const statuses = await Promise.all(
+      paths.map(async (route) => (await fetch(`${mixed.url}${route}`)).status),
+    );
+    assert.deepEqual(statuses, [422, 422, 422]);
+  });
+
+  it("answers an empty export with a 404", async () => {
+    const res = await fetch(`${geo.url}/export?minPrice=5000`);
+    assert.equal(res.status, 404);
+    assert.equal(res.headers.get("content-disposition"), null);
+  });
+
+  it("answers a failing export with a 500", async () => {
+    const errors = [];
+    const listing = {
+      id: "1",
+      host_id: "101",
+      price: 100,
+      accommodates: 2,
+      get notes() {
+        throw new Error("unreadable notes");
+      },
+    };
+    const server = createServer([listing], {
+      onError: (error) => errors.push(error),
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    try {
+      const res = await fetch(
+        `http://127.0.0.1:${server.address().port}/export`,
+      );
+      assert.equal(res.status, 500);
+      assert.deepEqual(
+        errors.map(({ message }) => message),
+        ["unreadable notes"],
+      );
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});